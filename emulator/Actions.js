@@ -0,0 +1,84 @@
+// actions.js
+// --------------------------------------------------
+// Action types and the input formatting AI Dungeon
+// applies to each mode before inputModifier runs.
+// --------------------------------------------------
+
+// Every history entry carries one of these types.
+// AI output is always recorded as "continue".
+export const ACTION_TYPES = ["start", "continue", "do", "say", "story", "see"];
+
+// Modes whose text goes through the modifiers and the AI turn.
+// "see" is an image action: recorded, but never sent to the model.
+export function isImageAction(mode) {
+    return mode === "see";
+}
+
+// Builds a history entry; rawText is deprecated and mirrors text
+export function createAction(type, text) {
+    return { text, rawText: text, type };
+}
+
+/* -------------------------
+     formatInput(mode, text, character)
+     - do:       "\n> You go north."
+     - say:      "\n> You say \"Hello.\""
+     - story:    passed through unchanged
+     - continue: always empty
+     - start:    the opening prompt, unchanged
+     - see:      the image prompt, unchanged
+     With a character (multiplayer) do and say are told about them
+     instead: "\n> Alice goes north.", "\n> Alice says \"Hello.\""
+     That text is the only record of who acted: history entries have
+     no character field, as in the game
+     ------------------------- */
+export function formatInput(mode, text, character = null) {
+    const trimmed = String(text ?? "").trim();
+
+    switch (mode) {
+        case "do": {
+            const action = lowerFirst(trimmed.replace(/^you\s+/i, ""));
+            return character
+                ? `\n> ${character} ${thirdPerson(action)}${endPunctuation(action)}`
+                : `\n> You ${action}${endPunctuation(action)}`;
+        }
+        case "say": {
+            const speech = trimmed.replace(/^"(.*)"$/s, "$1");
+            return `\n> ${character || "You"} ${character ? "says" : "say"} "${speech}${endPunctuation(speech)}"`;
+        }
+        case "continue":
+            return "";
+        case "start":
+        case "story":
+        case "see":
+        default:
+            return String(text ?? "");
+    }
+}
+
+// "Open the door" -> "open the door", but leave "I", "NPC" etc. alone
+function lowerFirst(text) {
+    if (/^[A-Z][a-z]/.test(text)) return text[0].toLowerCase() + text.slice(1);
+    return text;
+}
+
+// Verbs that do not follow the -s / -es / -ies rule
+const IRREGULAR_VERBS = { be: "is", am: "is", are: "is", have: "has" };
+const MODAL_VERBS = ["can", "could", "may", "might", "must", "shall", "should", "will", "would"];
+
+// "go north" -> "goes north": the leading verb, for a named character.
+// Capitalized words ("I", names) are left alone, as lowerFirst leaves them.
+function thirdPerson(action) {
+    const match = action.match(/^([a-z]+)(.*)$/s);
+    if (!match || MODAL_VERBS.includes(match[1])) return action;
+
+    const [, verb, rest] = match;
+    if (IRREGULAR_VERBS[verb]) return IRREGULAR_VERBS[verb] + rest;
+    if (/(s|x|z|ch|sh|o)$/.test(verb)) return `${verb}es${rest}`;
+    if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ies${rest}`;
+    return `${verb}s${rest}`;
+}
+
+function endPunctuation(text) {
+    return /[.!?…"')\]]$/.test(text) ? "" : ".";
+}
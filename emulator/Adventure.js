@@ -0,0 +1,137 @@
+// Adventure.js
+// --------------------------------------------------
+// Saves a whole adventure to plain JSON and loads it back, so a long
+// test session survives a page refresh and a bug can be reproduced
+// from a file instead of replaying every turn by hand.
+//
+// Adventure file:
+//   {
+//     "format": "aid-emulator-adventure",
+//     "version": 1,
+//     "savedAt": "2026-01-01T12:00:00.000Z",
+//     "currentSide": "user",                  // or "ai": waiting for the AI text
+//     "turn": 12,
+//     "lastContext": "...",                   // context the AI turn is waiting on
+//     "actingCharacter": "Alice",             // multiplayer: who acts next (null for "You")
+//     "history": [{ "text", "rawText", "type" }],
+//     "state": { "memory": { "context", "authorsNote", "frontMemory" }, ... },
+//     "storyCards": [{ "id", "keys", "entry", "type", "title", "description", ... }],
+//     "info": { "actionCount", "characterNames", ... }
+//   }
+//
+// A starting scenario begins a new adventure instead:
+//   {
+//     "prompt": "You are a knight...",       // opening prompt, played as "start"
+//     "plotEssentials": "...",                // -> state.memory.context
+//     "authorsNote": "...",                   // -> state.memory.authorsNote
+//     "storyCards": [{ "keys", "entry", "type", "title", "description" }]
+//   }
+// An AI Dungeon scenario (see AidFormat.js) works as a starting scenario too.
+// --------------------------------------------------
+
+import {
+    state,
+    storyCards,
+    info,
+    snapshotParameters,
+    restoreParameters,
+} from "./Parameters.js";
+
+import { ACTION_TYPES } from "./Actions.js";
+import { fromAidScenario, importStoryCards } from "./AidFormat.js";
+
+export const ADVENTURE_FORMAT = "aid-emulator-adventure";
+export const ADVENTURE_VERSION = 1;
+
+/* -------------------------
+     saveAdventure(engine)
+     Snapshot of the parameters plus the engine's turn state,
+     ready for JSON.stringify
+     ------------------------- */
+export function saveAdventure(engine) {
+    return {
+        format: ADVENTURE_FORMAT,
+        version: ADVENTURE_VERSION,
+        savedAt: new Date().toISOString(),
+        currentSide: engine.currentSide,
+        turn: engine.turn,
+        lastContext: engine.lastContext,
+        actingCharacter: engine.actingCharacter,
+        ...snapshotParameters(),
+    };
+}
+
+export function isAdventure(data) {
+    return Boolean(data) && data.format === ADVENTURE_FORMAT;
+}
+
+// Throws on anything that would leave the parameters half-broken
+function validateAdventure(data) {
+    if (!isAdventure(data)) {
+        throw new Error(`Not an adventure file (expected "format": "${ADVENTURE_FORMAT}")`);
+    }
+    if (data.version > ADVENTURE_VERSION) {
+        throw new Error(`Adventure file version ${data.version} is newer than this emulator (${ADVENTURE_VERSION})`);
+    }
+    if (!Array.isArray(data.history)) throw new Error("Adventure file has no history array");
+    if (!Array.isArray(data.storyCards)) throw new Error("Adventure file has no storyCards array");
+    if (!data.state || typeof data.state !== "object") throw new Error("Adventure file has no state object");
+
+    for (const [i, action] of data.history.entries()) {
+        if (!action || typeof action.text !== "string") {
+            throw new Error(`History entry ${i} has no text`);
+        }
+        if (!ACTION_TYPES.includes(action.type)) {
+            throw new Error(`History entry ${i} has unknown type "${action.type}"`);
+        }
+    }
+}
+
+/* -------------------------
+     loadAdventure(engine, data)
+     Replaces the current adventure with a saved one, its multiplayer
+     characters included; info.maxChars stays as configured.
+     Library.js state is not part of the file: scripts keep running
+     with whatever their top-level values hold.
+     ------------------------- */
+export function loadAdventure(engine, data) {
+    validateAdventure(data);
+
+    engine.reset();
+    restoreParameters({
+        history: data.history.map(action => ({ rawText: action.text, ...action })),
+        storyCards: data.storyCards,
+        state: {
+            ...data.state,
+            memory: { context: "", authorsNote: "", frontMemory: "", ...data.state.memory },
+        },
+        info: data.info || {},
+        lastStoryCardId: data.lastStoryCardId,
+    });
+
+    engine.currentSide = data.currentSide === "ai" ? "ai" : "user";
+    engine.turn = Number(data.turn) || 0;
+    engine.lastContext = engine.currentSide === "ai" ? (data.lastContext ?? null) : null;
+    engine.setCharacterNames(data.info?.characterNames || []);
+    engine.actingCharacter = info.characterNames.includes(data.actingCharacter) ? data.actingCharacter : null;
+}
+
+/* -------------------------
+     startAdventure(engine, scenario)
+     Starts over from a starting scenario: memory and cards first,
+     then the opening prompt is played as a "start" action so the
+     modifiers see it like any other first turn.
+     Resolves to the turn from engine.handleInput (null without a prompt).
+     ------------------------- */
+export async function startAdventure(engine, scenario) {
+    const opening = fromAidScenario(scenario);
+
+    engine.reset();
+    state.memory.context = opening.plotEssentials;
+    state.memory.authorsNote = opening.authorsNote;
+    importStoryCards(opening.storyCards);
+
+    engine.onConsole(`Starting scenario loaded: ${storyCards.length} story cards.`);
+    if (!opening.prompt) return null;
+    return engine.handleInput("start", opening.prompt);
+}
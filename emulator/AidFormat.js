@@ -0,0 +1,106 @@
+// AidFormat.js
+// --------------------------------------------------
+// AI Dungeon's own file formats: story-card exports and scenarios.
+// Cards imported here land in storyCards the way the game would
+// hold them; cards exported here can be uploaded back to the game.
+//
+// Story-card export (an array, or an object with a storyCards array and
+// none of the scenario fields below):
+//   [{ "keys": "king,Larion", "value": "The old king.", "type": "character",
+//      "title": "King", "description": "notes", "useForCharacterCreation": false }]
+// Older exports and the scripting API call the text "entry" instead of "value";
+// both are read.
+//
+// Scenario:
+//   { "title", "prompt", "memory", "authorsNote", "storyCards": [...] }
+// memory goes to state.memory.context, authorsNote to state.memory.authorsNote
+// and the prompt is played as the start action (see startAdventure).
+// --------------------------------------------------
+
+import { storyCards, importStoryCard } from "./Parameters.js";
+
+/* -------------------------
+     fromAidStoryCard(card) / toAidStoryCard(card)
+     One card between AI Dungeon's export shape and storyCards
+     ------------------------- */
+export function fromAidStoryCard(card) {
+    if (!card || typeof card !== "object") throw new Error("A story card must be an object");
+    return {
+        keys: Array.isArray(card.keys) ? card.keys.join(",") : String(card.keys ?? ""),
+        entry: String(card.value ?? card.entry ?? ""),
+        type: card.type || "general",
+        title: String(card.title ?? card.name ?? ""),
+        description: String(card.description ?? card.notes ?? ""),
+        useForCharacterCreation: Boolean(card.useForCharacterCreation),
+    };
+}
+
+export function toAidStoryCard(card) {
+    return {
+        keys: card.keys,
+        value: card.entry,
+        type: card.type,
+        title: card.title,
+        description: card.description,
+        useForCharacterCreation: Boolean(card.useForCharacterCreation),
+    };
+}
+
+// Fields that make an object with storyCards a scenario rather than a card export
+const SCENARIO_FIELDS = ["prompt", "memory", "plotEssentials", "authorsNote"];
+
+// The card list of a story-card export, or null when data is not one
+function cardList(data) {
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.storyCards) && SCENARIO_FIELDS.every(field => data[field] === undefined)) {
+        return data.storyCards;
+    }
+    return null;
+}
+
+export function isAidStoryCardExport(data) {
+    return cardList(data) !== null;
+}
+
+/* -------------------------
+     importStoryCards(data)
+     Appends every card of a story-card export (or a plain card array)
+     to storyCards, blank and shared keys included.
+     Returns the number of cards added.
+     ------------------------- */
+export function importStoryCards(data) {
+    const cards = cardList(data);
+    if (!cards) throw new Error("Not a story card export (expected an array of cards)");
+
+    // Map everything first so a bad card leaves storyCards untouched
+    const mapped = cards.map((card, i) => {
+        try {
+            return fromAidStoryCard(card);
+        } catch (err) {
+            throw new Error(`Story card ${i}: ${err.message}`);
+        }
+    });
+    for (const card of mapped) importStoryCard(card);
+    return mapped.length;
+}
+
+export function exportStoryCards() {
+    return storyCards.map(toAidStoryCard);
+}
+
+/* -------------------------
+     fromAidScenario(data)
+     Maps an AI Dungeon scenario onto a starting scenario for
+     startAdventure (Adventure.js)
+     ------------------------- */
+export function fromAidScenario(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        throw new Error("A scenario must be an object");
+    }
+    return {
+        prompt: String(data.prompt ?? ""),
+        plotEssentials: String(data.memory ?? data.plotEssentials ?? ""),
+        authorsNote: String(data.authorsNote ?? ""),
+        storyCards: data.storyCards || data.worldInfo || [],
+    };
+}
@@ -0,0 +1,122 @@
+// contextBuilder.js
+// --------------------------------------------------
+// Assembles the context string handed to contextModifier,
+// laid out the way AI Dungeon builds it:
+//
+//   <plot essentials (state.memory.context)>
+//   World Lore:
+//   <triggered story card entries>
+//   Recent Story:
+//   <history trimmed to the maxChars budget,
+//    with [Author's note: ...] a few actions from the end>
+//   <front memory>
+// --------------------------------------------------
+
+import { isImageAction } from "./Actions.js";
+import { findTriggeredCards } from "./StoryCardTriggers.js";
+
+// Used when info.maxChars has not been set
+export const DEFAULT_MAX_CHARS = 8000;
+
+// How many actions from the end the author's note is inserted
+export const AUTHORS_NOTE_DEPTH = 3;
+
+// Rough characters-per-token ratio used for info.contextTokens
+export const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+    return Math.ceil(String(text ?? "").length / CHARS_PER_TOKEN);
+}
+
+/* -------------------------
+     buildContext({ history, memory, storyCards, maxChars })
+     Returns the assembled text plus each section, so callers can
+     report lengths (memory, lore) without re-deriving the layout.
+     triggers lists every card that fired (see StoryCardTriggers.js),
+     including ones left out because the budget ran out.
+     ------------------------- */
+export function buildContext({
+    history = [],
+    memory = {},
+    storyCards = [],
+    maxChars = DEFAULT_MAX_CHARS,
+    authorsNoteDepth = AUTHORS_NOTE_DEPTH,
+} = {}) {
+    const actions = history.filter(h => !isImageAction(h.type));
+
+    const memoryText = memory.context ? `${memory.context}\n` : "";
+    const frontMemory = memory.frontMemory || "";
+    const authorsNote = memory.authorsNote
+        ? `\n[Author's note: ${memory.authorsNote}]\n`
+        : "";
+
+    // Fixed sections always fit; story cards and history share what is left
+    let budget = maxChars - memoryText.length - frontMemory.length - authorsNote.length;
+
+    const triggers = findTriggeredCards(storyCards, history);
+    const cards = [];
+    const loreEntries = [];
+    for (const { card } of triggers) {
+        const entry = `${card.entry}\n`;
+        if (entry.length > budget / 2) continue;
+        cards.push(card);
+        loreEntries.push(entry);
+        budget -= entry.length;
+    }
+    const worldLore = loreEntries.length ? `World Lore:\n${loreEntries.join("")}` : "";
+
+    const recentHeader = "Recent Story:\n";
+    budget -= recentHeader.length;
+
+    const kept = trimHistory(actions.map(h => `${h.text}`), budget);
+    const recentStory = recentHeader + insertAuthorsNote(kept, authorsNote, authorsNoteDepth);
+
+    return {
+        text: memoryText + worldLore + recentStory + frontMemory,
+        memory: memoryText,
+        worldLore,
+        recentStory,
+        authorsNote,
+        frontMemory,
+        cards,
+        triggers,
+        actionsIncluded: kept.length,
+    };
+}
+
+// Keeps the newest actions that fit; the newest is cut down rather than dropped
+function trimHistory(texts, budget) {
+    const kept = [];
+    let used = 0;
+
+    for (let i = texts.length - 1; i >= 0; i--) {
+        const text = texts[i];
+        const cost = text.length + 1;
+        if (used + cost > budget) {
+            if (!kept.length && budget > 0) kept.unshift(text.slice(-budget));
+            break;
+        }
+        kept.unshift(text);
+        used += cost;
+    }
+
+    return kept;
+}
+
+function insertAuthorsNote(texts, authorsNote, depth) {
+    if (!authorsNote) return joinActions(texts);
+
+    const at = Math.max(0, texts.length - depth);
+    return joinActions(texts.slice(0, at)) + authorsNote + joinActions(texts.slice(at));
+}
+
+// Actions carry their own leading newlines ("\n> You ..."); only glue
+// a newline between entries that would otherwise run together
+export function joinActions(texts) {
+    let out = "";
+    for (const text of texts) {
+        if (out && text && !/\s$/.test(out) && !/^\s/.test(text)) out += "\n";
+        out += text;
+    }
+    return out;
+}
@@ -0,0 +1,136 @@
+// DebugPanel.js
+// --------------------------------------------------
+// The Debug tab: a turn inspector over engine.traces. The left column
+// lists the turns; the right one shows the selected turn's actions and,
+// for every hook, the text it got and returned, the stop flag, the
+// time it took, its logs and a structural diff of state, storyCards
+// and history from before to after it ran.
+// --------------------------------------------------
+
+import { stringifyValue } from "./Diff.js";
+import { escapeHtml } from "./Html.js";
+
+// Diffed values as JSON, so "" and "1" read differently from nothing and 1
+function showValue(value) {
+    if (value === undefined) return "(none)";
+    return JSON.stringify(value, null, 2);
+}
+
+export class DebugPanel {
+    /* -------------------------
+         new DebugPanel(root, { engine })
+         Follows the latest turn until an older one is picked.
+         ------------------------- */
+    constructor(root, { engine } = {}) {
+        this.root = root;
+        this.engine = engine;
+        // index into engine.traces, or null to follow the latest turn
+        this.selected = null;
+
+        this.build();
+        this.render();
+    }
+
+    build() {
+        this.root.innerHTML = `
+            <div class="debug-turns"></div>
+            <div class="debug-detail"></div>
+        `;
+        this.dom = {
+            turns: this.root.querySelector(".debug-turns"),
+            detail: this.root.querySelector(".debug-detail"),
+        };
+
+        this.dom.turns.addEventListener("click", (event) => {
+            const button = event.target.closest("button[data-index]");
+            if (!button) return;
+            const index = Number(button.dataset.index);
+            // Picking the newest turn goes back to following new turns
+            this.selected = index === this.engine.traces.length - 1 ? null : index;
+            this.render();
+        });
+    }
+
+    render() {
+        const traces = this.engine.traces;
+        if (this.selected !== null && this.selected >= traces.length) this.selected = null;
+        const current = this.selected ?? traces.length - 1;
+
+        this.dom.turns.innerHTML = traces.length
+            ? traces.map((trace, i) => this.renderTurnButton(trace, i, i === current)).reverse().join("")
+            : `<div class="debug-empty">No turns yet.</div>`;
+
+        const trace = traces[current];
+        this.dom.detail.innerHTML = trace ? this.renderTrace(trace) : "";
+    }
+
+    renderTurnButton(trace, index, active) {
+        const first = trace.actions[0];
+        const label = first ? `${first.mode} ${JSON.stringify(first.text)}` : "";
+        return `
+            <button data-index="${index}" class="${active ? "active" : ""}" title="${escapeHtml(label)}">
+                Turn ${trace.turn}: ${escapeHtml(label)}
+            </button>
+        `;
+    }
+
+    renderTrace(trace) {
+        return `
+            <div class="debug-turn-head">Turn ${trace.turn}</div>
+            ${trace.actions.map(action => this.renderAction(action)).join("")}
+        `;
+    }
+
+    renderAction(action) {
+        const hooks = action.hooks.length
+            ? action.hooks.map(hook => this.renderHook(hook)).join("")
+            : `<div class="debug-empty">No hooks ran.</div>`;
+
+        return `
+            <div class="debug-action">
+                <div class="debug-action-head">
+                    <b>${escapeHtml(action.mode)}</b> ${escapeHtml(JSON.stringify(action.text))}
+                    <span class="debug-time">${escapeHtml(action.at)}</span>
+                </div>
+                ${hooks}
+            </div>
+        `;
+    }
+
+    renderHook(hook) {
+        const status = hook.error ? "failed" : hook.stop ? "stop: true" : "stop: false";
+        const elapsed = hook.elapsedMs === undefined ? "" : `${hook.elapsedMs.toFixed(1)} ms`;
+        const logs = (hook.logs || []).map(entry =>
+            `<div class="debug-log">${escapeHtml(entry.level)}: ${escapeHtml(JSON.stringify(entry.message))}</div>`).join("");
+
+        return `
+            <div class="debug-hook${hook.error ? " debug-hook-failed" : ""}">
+                <div class="debug-hook-head">
+                    <b>${escapeHtml(hook.hook)}</b>
+                    <span class="debug-status">${status}</span>
+                    <span class="debug-time">${elapsed}</span>
+                </div>
+                <div class="debug-label">input</div>
+                <pre class="debug-text">${escapeHtml(hook.input)}</pre>
+                <div class="debug-label">returned${hook.output === hook.input ? " (unchanged)" : ""}</div>
+                <pre class="debug-text">${escapeHtml(hook.error ? "(hook failed; text left unchanged)" : stringifyValue(hook.result))}</pre>
+                ${hook.error ? `<pre class="debug-error">${escapeHtml(hook.error)}</pre>` : ""}
+                ${logs ? `<div class="debug-label">logs</div>${logs}` : ""}
+                <div class="debug-label">changes</div>
+                ${this.renderChanges(hook.changes || [])}
+            </div>
+        `;
+    }
+
+    renderChanges(changes) {
+        if (!changes.length) return `<div class="debug-empty">state, storyCards and history unchanged</div>`;
+
+        return changes.map(change => `
+            <div class="debug-change debug-${change.op}">
+                <div><span class="debug-op">${change.op}</span> ${escapeHtml(change.path)}</div>
+                ${change.op !== "added" ? `<pre class="debug-before">- ${escapeHtml(showValue(change.before))}</pre>` : ""}
+                ${change.op !== "removed" ? `<pre class="debug-after">+ ${escapeHtml(showValue(change.after))}</pre>` : ""}
+            </div>
+        `).join("");
+    }
+}
@@ -0,0 +1,122 @@
+// diff.js
+// --------------------------------------------------
+// Small diff helpers for reports: a line diff for text,
+// a readable expected/actual rendering of values, a
+// comparison of id-keyed records and a structural diff.
+// --------------------------------------------------
+
+/* -------------------------
+     diffLines(before, after)
+     Longest-common-subsequence line diff. Returns entries
+       { op: " " | "-" | "+", line }
+     in order; "-" lines exist only in before, "+" only in after.
+     ------------------------- */
+export function diffLines(before, after) {
+    const a = String(before ?? "").split("\n");
+    const b = String(after ?? "").split("\n");
+
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const out = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            out.push({ op: " ", line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            out.push({ op: "-", line: a[i++] });
+        } else {
+            out.push({ op: "+", line: b[j++] });
+        }
+    }
+    while (i < a.length) out.push({ op: "-", line: a[i++] });
+    while (j < b.length) out.push({ op: "+", line: b[j++] });
+
+    return out;
+}
+
+// True when the two texts differ anywhere
+export function hasChanges(entries) {
+    return entries.some(e => e.op !== " ");
+}
+
+// "- expected" / "+ actual" lines, one string per line
+export function formatLineDiff(entries) {
+    return entries.map(e => `${e.op} ${e.line}`);
+}
+
+// Values as stable, indented JSON so objects diff line by line
+export function stringifyValue(value) {
+    if (value === undefined) return "undefined";
+    if (typeof value === "string") return value;
+    return JSON.stringify(value, null, 2);
+}
+
+// Deep equality over JSON-like values (what state and story cards hold)
+export function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+}
+
+/* -------------------------
+     diffById(before, after, key)
+     Compares two lists of records that carry a stable id (story cards).
+     Returns { added, removed, changed } lists of records: added and
+     changed hold the records from after, removed the ones from before.
+     ------------------------- */
+export function diffById(before, after, key = "id") {
+    const beforeById = new Map(before.map(item => [item[key], item]));
+    const afterIds = new Set(after.map(item => item[key]));
+
+    return {
+        added: after.filter(item => !beforeById.has(item[key])),
+        removed: before.filter(item => !afterIds.has(item[key])),
+        changed: after.filter(item => beforeById.has(item[key]) && !deepEqual(beforeById.get(item[key]), item)),
+    };
+}
+
+function isObject(value) {
+    return typeof value === "object" && value !== null;
+}
+
+// state.memory.context, history[3], state["odd key"]
+function childPath(path, key, inArray) {
+    if (inArray) return `${path}[${key}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) return path ? `${path}.${key}` : key;
+    return `${path}[${JSON.stringify(key)}]`;
+}
+
+/* -------------------------
+     diffValues(before, after, path)
+     Structural diff of JSON-like values: one entry per leaf that differs,
+       { path, op: "added" | "removed" | "changed", before, after }
+     Objects and arrays are walked key by key; anything else that
+     differs (including an object replaced by a string) is "changed".
+     ------------------------- */
+export function diffValues(before, after, path = "") {
+    if (deepEqual(before, after)) return [];
+
+    if (before === undefined) return [{ path, op: "added", before, after }];
+    if (after === undefined) return [{ path, op: "removed", before, after }];
+
+    const walk = isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after);
+    if (!walk) return [{ path, op: "changed", before, after }];
+
+    const inArray = Array.isArray(before);
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffValues(before[key], after[key], childPath(path, key, inArray)));
+}
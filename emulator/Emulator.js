@@ -1,45 +1,86 @@
-// emulator/emulator.js //test edit
+// emulator/emulator.js
 
 import {
     state,
-    storyCards,
     history,
-    addStoryCard,
-    removeStoryCard,
-    updateStoryCard
+    info,
 } from "./Parameters.js";
 
+import { Engine } from "./Engine.js";
+
+import { isImageAction } from "./Actions.js";
+
+import {
+    saveAdventure,
+    loadAdventure,
+    startAdventure,
+    isAdventure,
+} from "./Adventure.js";
+
+import {
+    importStoryCards,
+    exportStoryCards,
+    isAidStoryCardExport,
+} from "./AidFormat.js";
+
+import {
+    startRecording,
+    stopRecording,
+    replayRecording,
+    isRecording,
+    formatReplayReport,
+} from "./Recording.js";
+
+import { StoryCardsPanel } from "./StoryCardsPanel.js";
+import { MemoryPanel } from "./MemoryPanel.js";
+import { DebugPanel } from "./DebugPanel.js";
+import { SandboxPanel } from "./SandboxPanel.js";
+import { ScriptEditorPanel } from "./ScriptEditorPanel.js";
+import { ReplayPanel } from "./ReplayPanel.js";
+import { createProjectReader, getActiveScenario } from "./ScriptStore.js";
+
 import {
-    runInputModifier,
-    runContextModifier,
-    runOutputModifier,
-} from "./Loader.js";
+    createCannedGenerator,
+    createEchoGenerator,
+    createMarkovGenerator,
+    splitResponses,
+} from "./Generators.js";
 
 /* ==================================================================================
    Design overview (short)
    ----------------------------------------------------------------------------------
-   - Emulator is a state machine: currentSide === "user" | "ai"
+   - Emulator is the DOM front end; the turn state machine lives in Engine (Engine.js)
    - UI calls handleInput(selectedMode, text) when the user clicks Enter (or presses Enter)
-   - handleInput delegates to processUserTurn or processAITurn depending on currentSide
-   - Hooks (inputModifier, contextModifier, outputModifier) are loaded from sandbox
+   - handleInput delegates to engine.handleInput and renders the turn it returns
    - Renderer methods update DOM but do not contain logic for "what happens next"
-   - All mutations to history/context/memory happen inside Emulator (single source of truth)
+   - All mutations to history/context/memory happen inside Engine (single source of truth)
    ================================================================================== */
 
+// localStorage key for the adventure saved after every turn
+const AUTOSAVE_KEY = "aid-emulator:autosave";
+
 class Emulator {
     constructor(opts = {}) {
-        // State managed here uses your imported `state` and `history`.
-        // Keep emulator-specific transient state local:
-        this.currentSide = "user"; // "user" or "ai"
+        // Keep emulator-specific UI state local; turn state lives in the engine
         this.selectedMode = "say"; // default selected input mode
-        // per-invocation buffer for sandbox log() calls
-        this.sandboxLogs = [];
         this.dom = {}; // will hold DOM references after wiring
 
         // Optional logger function from parameters.js or opts
         this.log = typeof log === "function" ? log : (msg) => console.log(msg);
         this.logFile = "emulatorLog.txt";
 
+        this.engine = new Engine({
+            // The active script project (Scripts tab) wins over the Script/ files
+            readSource: createProjectReader(),
+            ...opts,
+            onConsole: (msg) => this.renderer_appendToConsole(msg),
+            onLog: (msg) => this.renderer_log(msg),
+            onHookDone: () => {
+                this.memoryPanel?.render();
+                this.debugPanel?.render();
+            },
+        });
+
         // Kick off async initialization
         this._initPromise = this.init(); // allows callers to await if needed
     }
@@ -54,183 +95,214 @@ class Emulator {
         // 1) Wire DOM elements
         this.wireDOM();
 
-        // 2) Initial render
+        // 2) Compile the scripts once for the session
+        try {
+            const { errors } = await this.engine.loadScripts();
+            this.renderer_appendToConsole("Scripts loaded.");
+            this.engine.reportCompileErrors(errors);
+        } catch (err) {
+            this.engine.reportScriptError("Failed to load scripts: ", err);
+        }
+
+        // 3) Pick up where the last session left off
+        this.restoreAutosave();
+
+        // 4) Initial render
         this.renderer_log("Dungeon AI Simulator initialized.");
-        this.renderer_updateMainView(); // show initial content
-        history.push({ mode: "start", text: "" });
+        this.renderer_updateMainView(this.engine.lastContext); // show initial content
     }
 
 
 
 
     async handleInput(mode, text) {
-        var newText;
-        var context;
         // Wait for initialization if it's still in progress
         if (this._initPromise) await this._initPromise;
 
-        // Basic validation
-        if (typeof text !== "string") text = String(text || "");
-        mode = mode || this.selectedMode || "say"; // fallback to selected mode
-
-        // Ignore empty input (but you may want special handling elsewhere)
-        if (!text.trim()) {
-            this.renderer_log("(Ignored empty input)");
-            return;
-        }
-
-        // Dispatch based on who is active
-        if (this.currentSide === "user") {
-            newText = await this.processInput(mode, text);              
-            history.push({mode: "", text: newText});
-            context = await this.processContext();
-            this.currentSide = "ai";
-        } else {
-            newText = await this.processOutput(text);            
-            history.push({mode: "", text: newText});
-            this.currentSide = "user";
-        }
-
-
+        const turn = await this.engine.handleInput(mode || this.selectedMode || "say", text);
+        if (!turn) return;
 
         // Update UI to reflect changes
-        this.renderer_updateMainView(context);
+        this.renderer_updateMainView(turn.context);
+        this.autosave();
     }
 
-
-    async processInput(mode, rawText) {
+    /* -------------------------
+         Adventure files and autosave (see Adventure.js)
+         - autosave: the whole adventure goes to localStorage after every turn
+         - restoreAutosave: loads it back when the page opens
+         - openAdventureFile: an adventure file replaces the current one,
+           a starting or AI Dungeon scenario begins a new one, an
+           AI Dungeon story-card export adds its cards to this one and
+           a recording is replayed, leaving the current one as it was
+           (see Recording.js)
+         ------------------------- */
+    autosave() {
         try {
-            this.renderer_log(`Processing user input (mode=${mode})...`);
-
-            // 1) Hook: inputModifier
-            const modified = await this.safeCallHook("inputModifier", rawText);
-            return modified
+            localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(saveAdventure(this.engine)));
         } catch (err) {
-            this.renderer_log("Error processing user turn: " + err.message);
-            console.error(err);
+            this.renderer_appendToConsole(`Autosave failed: ${err.message}`);
         }
     }
 
-    async processOutput(rawText) {
+    restoreAutosave() {
+        let saved;
         try {
-            this.renderer_log(`Processing AI output...`);
-            const modified = await this.safeCallHook("outputModifier", rawText);
-            return modified;
+            saved = localStorage.getItem(AUTOSAVE_KEY);
+            if (!saved) return;
+            const data = JSON.parse(saved);
+            loadAdventure(this.engine, data);
+            this.renderer_appendToConsole(`Restored the autosaved adventure (${history.length} actions, saved ${data.savedAt}).`);
         } catch (err) {
-            this.renderer_log("Error processing AI turn: " + err.message);
-            console.error(err);
+            this.renderer_appendToConsole(`Could not restore the autosaved adventure: ${err.message}`);
         }
     }
 
-    async processContext() {
-        // Rebuild raw context from history lines
-        const rawContext = history.map(h => `${h.text}`).join("\n");
-        state.memory.frontMemory = "";
-
-        // Apply contextModifier hook to produce the AI-facing context
-        const aiContext = await this.safeCallHook("contextModifier", rawContext);
+    async openAdventureFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            if (isRecording(data)) {
+                await this.replaySession(data, file.name);
+                return;
+            }
+            this.finishRecording();
+            if (isAdventure(data)) {
+                loadAdventure(this.engine, data);
+                this.renderer_appendToConsole(`Adventure loaded from ${file.name} (${history.length} actions).`);
+            } else if (isAidStoryCardExport(data)) {
+                const count = importStoryCards(data);
+                this.renderer_appendToConsole(`Imported ${count} story cards from ${file.name}.`);
+            } else {
+                await startAdventure(this.engine, data);
+                this.renderer_appendToConsole(`New adventure started from ${file.name}.`);
+            }
+        } catch (err) {
+            this.renderer_appendToConsole(`Could not load ${file.name}: ${err.message}`);
+            return;
+        }
+        this.renderer_updateMainView(this.engine.lastContext);
+        this.autosave();
+    }
 
-        // Also update any other memory fields if needed — keep single source of truth here
-        this.renderer_log("Context rebuilt and transformed.");
-        //this.renderer_log(aiContext);
+    downloadAdventure() {
+        this.downloadJson("adventure", saveAdventure(this.engine));
+    }
 
+    // Story cards in AI Dungeon's export format, ready to upload to the game
+    downloadStoryCards() {
+        this.downloadJson("story-cards", exportStoryCards());
+    }
 
-        return aiContext;
+    downloadJson(name, data) {
+        const json = JSON.stringify(data, null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `${name}-${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
     }
 
     /* -------------------------
-         safeCallHook(name, arg)
-         Utility to call a hook safely (try/catch + identity fallback)
+         Session recordings (see Recording.js)
+         - toggleRecording: starts recording, or stops and downloads it
+         - finishRecording: stops and downloads before the adventure is
+           replaced, since a reset ends the recording
+         - replaySession: replays a recording against the current
+           scripts; the report goes to the Replay tab
          ------------------------- */
-    async safeCallHook(name, arg) {
-        try {
-            const globals = this.getHookGlobals(arg);
-            this.sandboxLogs = []; // reset log buffer
-            let result;
-
-            switch (name) {
-                case "inputModifier":
-                    result = await runInputModifier(globals);
-                    break;
-                case "contextModifier":
-                    result = await runContextModifier(globals);
-                    break;
-                case "outputModifier":
-                    result = await runOutputModifier(globals);
-                    break;
-                default:
-                    return arg;
-            }
+    toggleRecording() {
+        if (this.engine.recording) {
+            this.finishRecording();
+        } else {
+            startRecording(this.engine);
+            this.renderer_appendToConsole("Recording the session; press stop to download it.");
+        }
+        this.renderRecordButton();
+    }
 
-            // Render header + sandbox logs to the emulator console
-            try {
-                const prettyNameMap = {
-                    inputModifier: "Input Modifier",
-                    contextModifier: "Context Modifier",
-                    outputModifier: "Output Modifier",
-                };
-                const headerName = prettyNameMap[name] || name;
-                const ts = new Date().toISOString();
-
-                // Header line (timestamped)
-                this.renderer_appendToConsole(`${headerName} @ ${ts}:`);
-                // Blank line for spacing (matches your example)
-                this.renderer_appendToConsole("");
-
-                // Each sandbox log appears as: Log: "message"
-                for (const entry of this.sandboxLogs) {
-                    // use JSON.stringify to get quotes around string and preserve escapes
-                    this.renderer_appendToConsole(`Log: ${JSON.stringify(entry)}`);
-                }
+    finishRecording() {
+        const recording = stopRecording(this.engine);
+        if (!recording) return;
+        this.downloadJson("recording", recording);
+        this.renderer_appendToConsole(`Recording stopped: ${recording.steps.length} steps downloaded.`);
+        this.renderRecordButton();
+    }
 
+    async replaySession(recording, name) {
+        this.finishRecording();
+        this.renderer_appendToConsole(`Replaying ${name} (${recording.steps.length} steps)...`);
 
-                // Add an empty line after logs to improve readability
-                this.renderer_appendToConsole("");
-            } catch (renderErr) {
-                // if rendering the sandbox logs fails, at minimum continue
-                console.warn("Failed to render sandbox logs:", renderErr);
-            }
+        if (this.replayPanel) {
+            document.querySelector('#topTabs [data-tab="replay"]')?.click();
+            const report = await this.replayPanel.replay(recording);
+            if (report) this.renderer_appendToConsole(formatReplayReport(report).slice(-1)[0]);
+            return;
+        }
 
-            // Modifier MUST return { text }
-            if (result && typeof result.text === "string") {
-                return result.text;
-            }
+        const report = await replayRecording(this.engine, recording, { restore: true });
+        for (const line of formatReplayReport(report)) this.renderer_appendToConsole(line);
+        this.renderer_updateMainView(this.engine.lastContext);
+        this.autosave();
+    }
+
+    renderRecordButton() {
+        const button = this.dom.recordSessionBtn;
+        if (!button) return;
+        button.textContent = this.engine.recording ? "stop recording" : "record";
+        button.classList.toggle("recording", Boolean(this.engine.recording));
+    }
 
-            this.renderer_log(`Hook ${name} returned invalid shape:`, result);
-            return arg;
+    // Starts from the active project's scenario when it has one
+    async newAdventure() {
+        this.finishRecording();
+        localStorage.removeItem(AUTOSAVE_KEY);
 
+        let scenario = null;
+        try {
+            scenario = getActiveScenario();
         } catch (err) {
-            this.renderer_log(`Hook ${name} threw: ${err}`);
-            return arg;
+            this.renderer_appendToConsole(`Ignoring the project's scenario: ${err.message}`);
         }
-    }
 
+        if (scenario) {
+            try {
+                await startAdventure(this.engine, scenario);
+                this.renderer_appendToConsole("New adventure started from the project's scenario.");
+            } catch (err) {
+                this.renderer_appendToConsole(`Could not start the project's scenario: ${err.message}`);
+            }
+            this.autosave();
+        } else {
+            this.engine.reset();
+            this.renderer_appendToConsole("New adventure: history, state and story cards cleared.");
+        }
+        this.renderer_updateMainView(this.engine.lastContext);
+    }
 
+    /* -------------------------
+         runCommand(command)
+         undo / redo / retry / erase on the engine's checkpoints
+         ------------------------- */
+    async runCommand(command) {
+        if (this._initPromise) await this._initPromise;
 
-    getHookGlobals(arg) 
-    {
-        return {
-            state,
-            text: arg,
-            history,
-            storyCards,
-            addStoryCard,
-            removeStoryCard,
-            updateStoryCard,
-            log: this.sandboxLog
-        };
-    }
-
-    sandboxLog = (message) => {
-        try {
-            this.sandboxLogs.push(message);
+        let changed;
+        if (command === "retry") changed = Boolean(await this.engine.retry());
+        else if (command === "undo") changed = this.engine.undo();
+        else if (command === "redo") changed = this.engine.redo();
+        else if (command === "erase") changed = this.engine.erase();
+        else throw new Error(`Unknown command ${command}`);
 
+        if (!changed) return;
+        this.renderer_updateMainView(this.engine.lastContext);
+        this.autosave();
+    }
 
-        } catch (e) {
-            // swallow any errors so sandbox can't crash host
-            console.warn("sandbox log failed:", e);
-        }
-    };
+    // Swap the AI stand-in at runtime; pass null to type the AI turn by hand
+    setGenerator(fn) {
+        this.engine.setGenerator(fn);
+    }
 
     /* =================================================================================
          UI: wiring + renderer methods
@@ -255,17 +327,47 @@ class Emulator {
         this.bindMainElements();
         this.bindModeButtons();
         this.bindEnterHandlers();
+        this.bindMessageBanner();
+        this.bindGeneratorSelect();
+        this.bindReloadScripts();
         this.bindTabs();
+        this.bindAdventureActions();
+        this.bindHistoryButtons();
+        this.bindPanels();
+        this.bindCharacters();
     }
 
 
     bindMainElements() {
         this.dom.mainTextWindow = document.getElementById("mainScreen");
+        this.dom.messageBanner = document.getElementById("messageBanner");
+        this.dom.messageText = document.getElementById("messageText");
+        this.dom.messageDismiss = document.getElementById("messageDismiss");
         this.dom.emulatorConsole = document.getElementById("emulatorConsole");
         this.dom.inputField = document.getElementById("emulatorInput");
         this.dom.enterBtn = document.getElementById("emulatorSubmit");
+        this.dom.reloadScriptsBtn = document.getElementById("reloadScripts");
+        this.dom.newAdventureBtn = document.getElementById("newAdventure");
+        this.dom.saveAdventureBtn = document.getElementById("saveAdventure");
+        this.dom.loadAdventureBtn = document.getElementById("loadAdventure");
+        this.dom.exportCardsBtn = document.getElementById("exportCards");
+        this.dom.recordSessionBtn = document.getElementById("recordSession");
+        this.dom.storyCardsPanel = document.getElementById("storyCardsPanel");
+        this.dom.memoryPanel = document.getElementById("memoryPanel");
+        this.dom.debugPanel = document.getElementById("debugPanel");
+        this.dom.sandboxPanel = document.getElementById("sandboxPanel");
+        this.dom.scriptEditorPanel = document.getElementById("scriptEditorPanel");
+        this.dom.replayPanel = document.getElementById("replayPanel");
+        this.dom.adventureFile = document.getElementById("adventureFile");
+        this.dom.generatorSelect = document.getElementById("generatorSelect");
+        this.dom.generatorFile = document.getElementById("generatorFile");
+        this.dom.characterSelect = document.getElementById("characterSelect");
+        this.dom.editCharactersBtn = document.getElementById("editCharacters");
         this.dom.modeButtons = Array.from(
-            document.querySelectorAll("#modeButtons button")
+            document.querySelectorAll("#modeButtons button[data-mode]")
+        );
+        this.dom.historyButtons = Array.from(
+            document.querySelectorAll("#historyButtons button")
         );
         this.dom.tabButtons = Array.from(
             document.querySelectorAll("#topTabs .tab")
@@ -322,29 +424,97 @@ class Emulator {
         if (!this.dom.enterBtn) return;
 
         // Click submit
-        this.dom.enterBtn.addEventListener("click", () => {
-            const txt = this.dom.inputField?.value || "";
-            if (this.dom.inputField) this.dom.inputField.value = "";
-            this.handleInput(this.selectedMode, txt);
-        });
+        this.dom.enterBtn.addEventListener("click", () => this.submitInput());
 
         // Press Enter inside input
         if (this.dom.inputField) {
             this.dom.inputField.addEventListener("keydown", (e) => {
                 if (e.key === "Enter") {
                     e.preventDefault();
-                    const txt = this.dom.inputField.value;
-                    this.dom.inputField.value = "";
-                    this.handleInput(this.selectedMode, txt);
+                    this.submitInput();
                 }
             });
         }
     }
 
+    // The typed text stays in the field while the engine is still playing
+    // the last action (it ignores input until then, see Engine.runExclusive)
+    submitInput() {
+        if (this.engine.isRunning()) return;
+        const txt = this.dom.inputField?.value || "";
+        if (this.dom.inputField) this.dom.inputField.value = "";
+        this.handleInput(this.selectedMode, txt);
+    }
+
+
+
+    // -----------------------------
+    // 4. Player message banner (dismiss only hides it; state.message is untouched)
+    // -----------------------------
+    bindMessageBanner() {
+        if (!this.dom.messageDismiss) return;
+
+        this.dom.messageDismiss.addEventListener("click", () => {
+            if (this.dom.messageBanner) this.dom.messageBanner.hidden = true;
+        });
+    }
+
 
 
     // -----------------------------
-    // 4. Tabs
+    // 5. Generator select (canned and markov are trained on a picked text file)
+    // -----------------------------
+    bindGeneratorSelect() {
+        if (!this.dom.generatorSelect) return;
+
+        this.dom.generatorSelect.addEventListener("change", () => {
+            const choice = this.dom.generatorSelect.value;
+            if (choice === "manual") {
+                this.setGenerator(null);
+                this.renderer_appendToConsole("AI turn: typed by hand.");
+            } else if (choice === "echo") {
+                this.setGenerator(createEchoGenerator());
+                this.renderer_appendToConsole("AI turn: echo generator.");
+            } else if (this.dom.generatorFile) {
+                this.dom.generatorFile.value = "";
+                this.dom.generatorFile.click();
+            }
+        });
+
+        this.dom.generatorFile?.addEventListener("change", async () => {
+            const file = this.dom.generatorFile.files[0];
+            if (!file) return;
+
+            const choice = this.dom.generatorSelect.value;
+            try {
+                const text = await file.text();
+                this.setGenerator(choice === "markov"
+                    ? createMarkovGenerator(text)
+                    : createCannedGenerator(splitResponses(text)));
+                this.renderer_appendToConsole(`AI turn: ${choice} generator trained on ${file.name}.`);
+            } catch (err) {
+                this.renderer_appendToConsole(`Could not load ${file.name}: ${err.message}`);
+                this.dom.generatorSelect.value = "manual";
+                this.setGenerator(null);
+            }
+        });
+    }
+
+
+
+    // -----------------------------
+    // 6. Reload scripts (history and state are kept)
+    // -----------------------------
+    bindReloadScripts() {
+        this.dom.reloadScriptsBtn?.addEventListener("click", () => {
+            this.engine.reloadScripts();
+        });
+    }
+
+
+
+    // -----------------------------
+    // 7. Tabs
     // -----------------------------
     bindTabs() {
         const tabButtons = document.querySelectorAll('.tab-button');
@@ -353,18 +523,140 @@ class Emulator {
         tabButtons.forEach(button => {
             button.addEventListener('click', () => {
                 const target = button.dataset.tab;
+                const panel = document.getElementById(target);
+                if (!panel) return;
 
                 tabButtons.forEach(btn => btn.classList.remove('active'));
                 tabContents.forEach(tc => tc.classList.remove('active'));
 
                 button.classList.add('active');
-                document.getElementById(target).classList.add('active');
+                panel.classList.add('active');
             });
         });
     }
 
 
 
+    // -----------------------------
+    // 8. Adventure: new, save to a file, load an adventure, a scenario,
+    //    story cards or a recording, export the cards for AI Dungeon,
+    //    record the session
+    // -----------------------------
+    bindAdventureActions() {
+        this.dom.newAdventureBtn?.addEventListener("click", () => {
+            if (history.length && !window.confirm("Start a new adventure? The current one is lost unless saved.")) return;
+            this.newAdventure();
+        });
+
+        this.dom.saveAdventureBtn?.addEventListener("click", () => this.downloadAdventure());
+        this.dom.exportCardsBtn?.addEventListener("click", () => this.downloadStoryCards());
+        this.dom.recordSessionBtn?.addEventListener("click", () => this.toggleRecording());
+
+        this.dom.loadAdventureBtn?.addEventListener("click", () => {
+            if (!this.dom.adventureFile) return;
+            this.dom.adventureFile.value = "";
+            this.dom.adventureFile.click();
+        });
+
+        this.dom.adventureFile?.addEventListener("change", () => {
+            const file = this.dom.adventureFile.files[0];
+            if (file) this.openAdventureFile(file);
+        });
+    }
+
+
+
+    // -----------------------------
+    // 9. Undo / redo / retry / erase
+    // -----------------------------
+    bindHistoryButtons() {
+        this.dom.historyButtons?.forEach((btn) => {
+            btn.addEventListener("click", () => this.runCommand(btn.dataset.command));
+        });
+    }
+
+
+
+    // -----------------------------
+    // 10. Tab panels (each re-renders with the main view)
+    // -----------------------------
+    bindPanels() {
+        if (this.dom.storyCardsPanel) {
+            this.storyCardsPanel = new StoryCardsPanel(this.dom.storyCardsPanel, {
+                engine: this.engine,
+                onChange: () => this.autosave(),
+            });
+        }
+        if (this.dom.memoryPanel) {
+            this.memoryPanel = new MemoryPanel(this.dom.memoryPanel, {
+                engine: this.engine,
+                onChange: () => this.autosave(),
+            });
+        }
+        if (this.dom.debugPanel) {
+            this.debugPanel = new DebugPanel(this.dom.debugPanel, { engine: this.engine });
+        }
+        if (this.dom.sandboxPanel) {
+            this.sandboxPanel = new SandboxPanel(this.dom.sandboxPanel, {
+                engine: this.engine,
+                onChange: () => {
+                    this.renderer_updateMainView(this.engine.lastContext);
+                    this.autosave();
+                },
+            });
+        }
+        if (this.dom.scriptEditorPanel) {
+            this.scriptEditorPanel = new ScriptEditorPanel(this.dom.scriptEditorPanel, { engine: this.engine });
+        }
+        if (this.dom.replayPanel) {
+            this.replayPanel = new ReplayPanel(this.dom.replayPanel, {
+                engine: this.engine,
+                onChange: () => {
+                    this.renderer_updateMainView(this.engine.lastContext);
+                    this.autosave();
+                },
+            });
+        }
+    }
+
+
+
+    // -----------------------------
+    // 11. Multiplayer: the characters (info.characterNames) and who acts
+    // -----------------------------
+    bindCharacters() {
+        this.dom.characterSelect?.addEventListener("change", () => {
+            const name = this.dom.characterSelect.value || null;
+            this.engine.setActingCharacter(name);
+            this.renderer_appendToConsole(name ? `Acting as ${name}.` : "Acting as You (single player).");
+            this.autosave();
+        });
+
+        this.dom.editCharactersBtn?.addEventListener("click", () => {
+            const names = window.prompt("Character names, separated by commas (empty for single player):",
+                info.characterNames.join(", "));
+            if (names === null) return;
+
+            this.engine.setCharacterNames(names.split(","));
+            this.renderer_appendToConsole(info.characterNames.length
+                ? `Characters: ${info.characterNames.join(", ")}.`
+                : "Single player: no characters.");
+            this.renderCharacters();
+            this.autosave();
+        });
+    }
+
+    renderCharacters() {
+        const select = this.dom.characterSelect;
+        if (!select) return;
+
+        select.replaceChildren(...[null, ...info.characterNames].map(name =>
+            new Option(name ?? "You (single player)", name ?? "")));
+        select.value = this.engine.actingCharacter ?? "";
+    }
+
+
+
     // -----------------------------
     // DOM wiring done
     // -----------------------------
@@ -424,23 +716,46 @@ class Emulator {
     {
         if (!this.dom.mainTextWindow) return;
 
-        const view = this.currentSide === "user"
+        const view = this.engine.currentSide === "user"
             ? this.buildUserView()
             : this.buildAIView(context);
 
-        this.dom.mainTextWindow.innerHTML = view;
+        this.dom.mainTextWindow.innerHTML = view + this.buildHaltView();
         
         this.dom.mainTextWindow.scrollTop =
             this.dom.mainTextWindow.scrollHeight;
 
         // Side effects remain here
+        this.renderer_updateMessageBanner();
+        this.storyCardsPanel?.render();
+        this.memoryPanel?.render();
+        this.debugPanel?.render();
+        this.renderRecordButton();
+        this.renderCharacters();
         this.renderer_updateConsoleSnapshot();
     }
 
+    // Show the latest state.message above the story text, apart from it
+    renderer_updateMessageBanner() {
+        if (!this.dom.messageBanner || !this.dom.messageText) return;
+
+        const message = this.engine.playerMessage;
+        if (!message) {
+            this.dom.messageBanner.hidden = true;
+            return;
+        }
+
+        this.dom.messageText.textContent = message.text;
+        this.dom.messageBanner.title = `Set by ${message.hook}`;
+        this.dom.messageBanner.hidden = false;
+    }
+
     buildUserView() 
     {
         const maxEntries = 100;
-        const recent = history.map(h => `${h.text}`).slice(-maxEntries);
+        const recent = history
+            .map(h => isImageAction(h.type) ? `[Image: ${h.text}]` : `${h.text}`)
+            .slice(-maxEntries);
         const userViewHtml = recent
             .map((line) => this.escapeHtml(line))
             .join("<br>");
@@ -464,6 +779,18 @@ class Emulator {
     }
 
 
+    buildHaltView() 
+    {
+        const halt = this.engine.halt;
+        if (!halt) return "";
+
+        return `<br><br>
+            <b>=== Turn halted (${this.escapeHtml(halt.hook)}) ===</b><br>
+            ${this.escapeHtml(halt.reason)}
+        `;
+    }
+
+
     // Update console "snapshot" (for convenience show last few console messages)
     renderer_updateConsoleSnapshot() {
         if (!this.dom.emulatorConsole) return;
@@ -0,0 +1,845 @@
+// emulator/engine.js
+
+import {
+    state,
+    storyCards,
+    history,
+    info,
+    resetParameters,
+    snapshotParameters,
+    restoreParameters
+} from "./Parameters.js";
+
+import { createScriptLoader } from "./Loader.js";
+import { createSandbox } from "./Sandbox.js";
+import { formatScriptError } from "./ScriptRuntime.js";
+
+import {
+    createAction,
+    formatInput,
+    isImageAction,
+} from "./Actions.js";
+
+import {
+    buildContext,
+    estimateTokens,
+    DEFAULT_MAX_CHARS,
+} from "./ContextBuilder.js";
+
+import { describeTrigger } from "./StoryCardTriggers.js";
+
+import { toGenerator } from "./Generators.js";
+
+import { diffById, diffValues } from "./Diff.js";
+
+// How many actions undo can go back
+export const UNDO_DEPTH = 100;
+
+// state.memory fields tracked in memoryChanges, and how many changes are kept
+export const MEMORY_FIELDS = ["context", "authorsNote", "frontMemory"];
+export const MEMORY_LOG_LIMIT = 500;
+
+// How many turns of hook traces are kept for the Debug tab
+export const TRACE_LIMIT = 100;
+
+// What a hook did to the parameters, as structural diff entries (see
+// diffValues); story cards are matched by id, so a removed card does
+// not show up as every later card changing
+function describeChanges(before, after) {
+    const cards = diffById(before.storyCards, after.storyCards);
+    const cardPath = (card) => `storyCards[id=${card.id}]`;
+    const byId = new Map(before.storyCards.map(card => [card.id, card]));
+
+    return [
+        ...diffValues(before.state, after.state, "state"),
+        ...cards.added.map(card => ({ path: cardPath(card), op: "added", before: undefined, after: card })),
+        ...cards.removed.map(card => ({ path: cardPath(card), op: "removed", before: card, after: undefined })),
+        ...cards.changed.flatMap(card => diffValues(byId.get(card.id), card, cardPath(card))),
+        ...diffValues(before.history, after.history, "history"),
+    ];
+}
+
+// Console label per log level (log() and console.log share "Log")
+const LOG_LABELS = {
+    log: "Log",
+    debug: "Debug",
+    info: "Info",
+    warn: "Warn",
+    error: "Error",
+};
+
+/* ==================================================================================
+   Turn engine (no DOM)
+   ----------------------------------------------------------------------------------
+   - Engine is a state machine: currentSide === "user" | "ai"
+   - Callers (the DOM emulator, the Node runner) call handleInput(mode, text)
+   - handleInput runs the user turn (input + context) or the AI turn (output)
+   - Hooks (inputModifier, contextModifier, outputModifier) are run through the loader,
+     in an isolated sandbox with a time budget (opts.timeoutMs, see Sandbox.js);
+     opts.readSource picks where the script text comes from (see Loader.js)
+   - All mutations to history/context/memory happen inside Engine (single source of truth)
+   - One action plays at a time; input sent while one is running is ignored
+   - Every action leaves a checkpoint (a snapshot from before it) for undo, redo,
+     retry and erase, like the game's own buttons
+   - While a session is recorded, every action and the hooks it ran are kept
+     for a later replay (engine.recording, see Recording.js)
+   - Output goes through callbacks so any front end can show it:
+       onConsole(msg)    lines for the emulator console
+       onLog(msg)        verbose progress notes (off unless provided)
+       onHookDone(name)  after every hook, so panels can show live values
+   ================================================================================== */
+
+export class Engine {
+    constructor(opts = {}) {
+        this.currentSide = "user"; // "user" or "ai"
+        // counts user actions; the AI output that answers one belongs to the same turn
+        this.turn = 0;
+        // per-invocation buffer for sandbox log() calls
+        this.sandboxLogs = [];
+        // { hook, reason } when the last action was halted by a { stop: true } result
+        this.halt = null;
+        // { hook, text } for the latest state.message set by a modifier
+        this.playerMessage = null;
+        // sections of the last context handed to contextModifier (see ContextBuilder.js)
+        this.lastAssembledContext = null;
+        // the context as returned by contextModifier on the last user turn
+        this.lastContext = null;
+        // undo stack: { type: "user" | "ai", snapshot, contextSnapshot, rawText }
+        this.checkpoints = [];
+        // undone checkpoints with the snapshot they were undone from
+        this.redoStack = [];
+        // snapshot from just before the last contextModifier run, kept for retry
+        this.contextSnapshot = null;
+        // story cards the scripts added, changed or removed during the last turn:
+        // { id, change: "added" | "changed" | "removed", hook, card }
+        this.cardChanges = [];
+        // every change to state.memory, oldest first:
+        // { turn, source: "user edit" | "game" | "sandbox" | hook name, field, before, after }
+        this.memoryChanges = [];
+        // hook traces per turn, oldest first (see startTrace)
+        this.traces = [];
+        // { steps } while a session is recorded (see Recording.js), else null
+        this.recording = null;
+        // the recorded step the running hooks belong to
+        this.recordingStep = null;
+        // promise of the action being played, else null (see runExclusive)
+        this.running = null;
+
+        this.loader = opts.loader || createScriptLoader({
+            readSource: opts.readSource,
+            sandbox: createSandbox({ timeoutMs: opts.timeoutMs }),
+        });
+        this.onConsole = opts.onConsole || ((msg) => console.log(msg));
+        this.onLog = opts.onLog || (() => {});
+        this.onHookDone = opts.onHookDone || (() => {});
+
+        // Optional local AI stand-in; null means the AI turn is typed by hand
+        this.generator = toGenerator(opts.generator);
+
+        // info fields that come from configuration rather than from the story
+        info.maxChars = opts.maxChars || DEFAULT_MAX_CHARS;
+        // multiplayer: the character whose do/say actions are played, null for "You"
+        this.actingCharacter = null;
+        this.setCharacterNames(opts.characterNames || []);
+    }
+
+    /* -------------------------
+         loadScripts() / reloadScripts()
+         Scripts are compiled once per session (see Loader.js);
+         reloading picks up edited files and re-runs Library.js
+         without touching history or state.
+         ------------------------- */
+    loadScripts() {
+        return this.loader.load();
+    }
+
+    // Console report for a script that failed to compile or run,
+    // one line per message and mapped stack frame
+    reportScriptError(prefix, err) {
+        const [first, ...frames] = formatScriptError(err).split("\n");
+        this.onConsole(`${prefix}${first}`);
+        for (const line of frames) this.onConsole(line);
+    }
+
+    // Console report for each modifier file that did not compile
+    reportCompileErrors(errors) {
+        for (const err of errors) this.reportScriptError("Not compiled; this hook fails until it is fixed: ", err);
+    }
+
+    async reloadScripts() {
+        try {
+            const { errors } = await this.loader.reload();
+            this.onConsole("Scripts reloaded.");
+            this.reportCompileErrors(errors);
+            return true;
+        } catch (err) {
+            this.reportScriptError("Failed to reload scripts: ", err);
+            return false;
+        }
+    }
+
+    // Stop the sandbox worker (lets a Node process exit)
+    dispose() {
+        this.loader.dispose();
+    }
+
+    /* -------------------------
+         reset()
+         Starts a new adventure: empty history, state and story cards,
+         and the turn back with the user
+         ------------------------- */
+    reset() {
+        resetParameters();
+        this.currentSide = "user";
+        this.turn = 0;
+        this.halt = null;
+        this.playerMessage = null;
+        this.lastAssembledContext = null;
+        this.lastContext = null;
+        this.checkpoints = [];
+        this.redoStack = [];
+        this.contextSnapshot = null;
+        this.cardChanges = [];
+        this.memoryChanges = [];
+        this.traces = [];
+        if (this.recording) this.onConsole("Recording stopped: the adventure was reset.");
+        this.recording = null;
+        this.recordingStep = null;
+    }
+
+    /* -------------------------
+         handleInput(mode, text)
+         Plays one action and returns what a front end needs to render it:
+           { side, context, halt, message }
+         context is set when the turn ends waiting for the AI text.
+         Returns null when the input was ignored: empty, or sent while
+         the last action is still running.
+         ------------------------- */
+    async handleInput(mode, text) {
+        // Basic validation
+        if (typeof text !== "string") text = String(text || "");
+        mode = mode || "say";
+
+        // Ignore empty input; "continue" is the one action that carries no text
+        const isContinue = this.currentSide === "user" && mode === "continue";
+        if (!text.trim() && !isContinue) {
+            this.onLog("(Ignored empty input)");
+            return null;
+        }
+
+        return this.runExclusive(() => this.playAction(mode, text));
+    }
+
+    async playAction(mode, text) {
+        var context;
+
+        // A new user action clears the notice left by a previously halted
+        // turn and the story-card highlights, and the game clears
+        // state.message before its hooks run; the AI output keeps what the
+        // input hooks set, as with a generator
+        if (this.currentSide === "user") {
+            this.halt = null;
+            this.playerMessage = null;
+            this.cardChanges = [];
+            delete state.message;
+            this.turn++;
+        }
+
+        // Dispatch based on who is active
+        if (this.currentSide === "user" && isImageAction(mode)) {
+            // Image actions are recorded but never reach the modifiers or the AI
+            this.checkpoint("user");
+            this.startTrace(mode, text);
+            this.recordStep({ mode, text, character: this.actingCharacter });
+            history.push(createAction(mode, text));
+            this.onConsole(`Image action recorded: ${text}`);
+        } else if (this.currentSide === "user") {
+            // The checkpoint is kept only once the input goes through: a
+            // dropped action is nothing for undo to remove
+            const before = this.snapshot();
+            this.startTrace(mode, text);
+            this.recordStep({ mode, text, character: this.actingCharacter });
+            this.lastContext = null;
+            const input = await this.processInput(mode, text);
+            if (input.stop) {
+                // Stopped input: the action is dropped and the user keeps the turn
+                this.haltTurn("inputModifier", "Input stopped by inputModifier; the action was dropped.");
+            } else {
+                this.checkpoint("user", {}, before);
+                // "continue" adds no entry of its own unless the modifier wrote one
+                if (mode !== "continue" || input.text) {
+                    history.push(createAction(mode, input.text));
+                }
+                context = await this.requestAI();
+            }
+        } else {
+            await this.processAITurn(text);
+        }
+
+        return this.turnResult(context);
+    }
+
+    /* -------------------------
+         runExclusive(action)
+         Plays one action at a time. Hooks hand back whole snapshots of
+         the parameters, so a second action started while the first
+         one's hooks are running would overwrite its changes; it is
+         ignored instead (resolves to null).
+         ------------------------- */
+    async runExclusive(action) {
+        if (this.isRunning()) return null;
+        this.running = action();
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    // True, with a console note, while an action is being played
+    isRunning() {
+        if (!this.running) return false;
+        this.onConsole("Ignored: the last action is still running.");
+        return true;
+    }
+
+    // Resolves once no action is being played, for edits that must not
+    // land while hooks run (their snapshot would overwrite them)
+    async idle() {
+        while (this.running) await this.running.catch(() => {});
+    }
+
+    // What handleInput and retry hand back to front ends
+    turnResult(context) {
+        return {
+            side: this.currentSide,
+            context: this.currentSide === "ai" ? context : undefined,
+            halt: this.halt,
+            message: this.playerMessage,
+        };
+    }
+
+    /* -------------------------
+         requestAI(rawText)
+         Builds the context for the AI turn and runs contextModifier;
+         with a generator (or a rawText from retry) the AI output
+         follows right away.
+         Returns the context, or undefined when contextModifier stopped.
+         ------------------------- */
+    async requestAI(rawText) {
+        this.contextSnapshot = this.snapshot();
+
+        const aiContext = await this.processContext();
+        if (aiContext.stop) {
+            // Stopped context: the action stays, but no AI turn follows
+            this.haltTurn("contextModifier", "Context stopped by contextModifier; generation was aborted.");
+            return undefined;
+        }
+
+        const context = aiContext.text;
+        this.lastContext = context;
+        this.currentSide = "ai";
+
+        // With a generator the AI turn fills itself in; a retry can
+        // also hand back the text of the output it replaces
+        const text = this.generator ? await this.generate(context) : rawText;
+        if (text !== null && text !== undefined) await this.processAITurn(text);
+        return context;
+    }
+
+    /* -------------------------
+         processAITurn(text)
+         Runs the AI text through outputModifier and hands the turn back to the user
+         ------------------------- */
+    async processAITurn(text) {
+        this.checkpoint("ai", { contextSnapshot: this.contextSnapshot, rawText: text });
+        this.traceAction("ai", text);
+        // A retried output belongs to the retry step
+        if (this.recordingStep?.command === "retry" && this.recordingStep.ai === undefined) this.recordingStep.ai = text;
+        else this.recordStep({ ai: text });
+        const output = await this.processOutput(text);
+        if (output.stop) {
+            // Stopped output: the AI text is discarded
+            this.haltTurn("outputModifier", "Output stopped by outputModifier; the AI text was discarded.");
+        } else {
+            // AI output is always recorded as a "continue" action
+            history.push(createAction("continue", output.text));
+        }
+        this.currentSide = "user";
+    }
+
+    /* -------------------------
+         Checkpoints: undo, redo, retry, erase
+         Each action pushes a snapshot (parameters plus turn state) taken
+         before it ran. Library.js top-level values are not part of it,
+         just as the game does not roll back a script's own variables.
+         An action dropped by inputModifier leaves no checkpoint.
+         - undo():      back to before the last action; redo() brings it back
+         - erase():     same as undo, but the action cannot be redone
+         - retry(text): replays the last AI turn from before contextModifier,
+                        through contextModifier and outputModifier again.
+                        The AI text comes from the generator, else text,
+                        else the raw text of the output being retried.
+                        An AI turn still waiting for its text is replayed
+                        from before its contextModifier too.
+         ------------------------- */
+    snapshot() {
+        return {
+            parameters: snapshotParameters(),
+            currentSide: this.currentSide,
+            turn: this.turn,
+            lastContext: this.lastContext,
+            // while the AI turn waits, retry needs the state from before its context
+            contextSnapshot: this.currentSide === "ai" ? this.contextSnapshot : null,
+        };
+    }
+
+    restore(snapshot) {
+        restoreParameters(snapshot.parameters);
+        this.currentSide = snapshot.currentSide;
+        this.turn = snapshot.turn;
+        this.lastContext = snapshot.lastContext;
+        this.contextSnapshot = snapshot.contextSnapshot;
+        this.halt = null;
+        this.playerMessage = null;
+        // the snapshot may predate the acting character being added
+        if (!info.characterNames.includes(this.actingCharacter)) this.actingCharacter = null;
+    }
+
+    checkpoint(type, extra = {}, snapshot = this.snapshot()) {
+        this.checkpoints.push({ type, snapshot, ...extra });
+        if (this.checkpoints.length > UNDO_DEPTH) this.checkpoints.shift();
+        this.redoStack = [];
+    }
+
+    undo() {
+        if (this.isRunning()) return false;
+        const last = this.checkpoints.pop();
+        if (!last) {
+            this.onConsole("Nothing to undo.");
+            return false;
+        }
+        this.redoStack.push({ checkpoint: last, snapshot: this.snapshot() });
+        this.restore(last.snapshot);
+        this.recordStep({ command: "undo" });
+        this.onConsole(`Undo: ${last.type === "ai" ? "AI output" : "action"} removed.`);
+        return true;
+    }
+
+    redo() {
+        if (this.isRunning()) return false;
+        const undone = this.redoStack.pop();
+        if (!undone) {
+            this.onConsole("Nothing to redo.");
+            return false;
+        }
+        this.checkpoints.push(undone.checkpoint);
+        this.restore(undone.snapshot);
+        this.recordStep({ command: "redo" });
+        this.onConsole(`Redo: ${undone.checkpoint.type === "ai" ? "AI output" : "action"} restored.`);
+        return true;
+    }
+
+    erase() {
+        if (this.isRunning()) return false;
+        const last = this.checkpoints.pop();
+        if (!last) {
+            this.onConsole("Nothing to erase.");
+            return false;
+        }
+        this.redoStack = [];
+        this.restore(last.snapshot);
+        this.recordStep({ command: "erase" });
+        this.onConsole(`Erase: ${last.type === "ai" ? "AI output" : "action"} erased.`);
+        return true;
+    }
+
+    retry(text) {
+        return this.runExclusive(() => this.retryOutput(text));
+    }
+
+    async retryOutput(text) {
+        // An AI turn still waiting for its text (after undoing its output,
+        // say) has no output to replace, but is retried the same way
+        const waiting = this.currentSide === "ai" && this.contextSnapshot;
+        const last = this.checkpoints[this.checkpoints.length - 1];
+        if (!waiting && (!last || last.type !== "ai" || !last.contextSnapshot)) {
+            this.onConsole("Nothing to retry: the last action is not an AI output of this session.");
+            return null;
+        }
+
+        let contextSnapshot = this.contextSnapshot;
+        let rawText;
+        if (!waiting) {
+            this.checkpoints.pop();
+            contextSnapshot = last.contextSnapshot;
+            rawText = last.rawText;
+        }
+        this.redoStack = [];
+        this.cardChanges = [];
+        this.restore(contextSnapshot);
+        this.onConsole("Retry: running contextModifier and outputModifier again.");
+        this.traceAction("retry", "");
+        this.recordStep({ command: "retry" });
+
+        const context = await this.requestAI(text ?? rawText);
+        return this.turnResult(context);
+    }
+
+    /* -------------------------
+         generate(context)
+         Asks the generator for the AI text. On failure the turn stays
+         with the AI side so it can still be typed by hand.
+         ------------------------- */
+    async generate(context) {
+        try {
+            const text = await this.generator(context, { history, info });
+            this.onConsole(`Generator produced ${text.length} characters.`);
+            return text;
+        } catch (err) {
+            this.onConsole(`Generator failed: ${err.message}. Type the AI output instead.`);
+            return null;
+        }
+    }
+
+    // Swap the AI stand-in at runtime; pass null to type the AI turn by hand
+    setGenerator(fn) {
+        this.generator = toGenerator(fn);
+    }
+
+    /* -------------------------
+         haltTurn(hook, reason)
+         Remembers why the current turn was halted so front ends can show it
+         ------------------------- */
+    haltTurn(hook, reason) {
+        this.halt = { hook, reason };
+        this.onConsole(`Turn halted: ${reason}`);
+    }
+
+
+    async processInput(mode, rawText) {
+        try {
+            this.onLog(`Processing user input (mode=${mode})...`);
+
+            // 1) Format the input the way the game does for this mode
+            const formatted = formatInput(mode, rawText, this.actingCharacter);
+
+            // 2) Hook: inputModifier
+            return await this.safeCallHook("inputModifier", formatted);
+        } catch (err) {
+            this.onLog("Error processing user turn: " + err.message);
+            console.error(err);
+            return { text: rawText, stop: false };
+        }
+    }
+
+    async processOutput(rawText) {
+        try {
+            this.onLog(`Processing AI output...`);
+            return await this.safeCallHook("outputModifier", rawText);
+        } catch (err) {
+            this.onLog("Error processing AI turn: " + err.message);
+            console.error(err);
+            return { text: rawText, stop: false };
+        }
+    }
+
+    async processContext() {
+        // Assemble memory, story cards, history and author's note within the budget
+        const assembled = buildContext({
+            history,
+            memory: state.memory,
+            storyCards,
+            maxChars: info.maxChars || DEFAULT_MAX_CHARS,
+        });
+        this.lastAssembledContext = assembled;
+        info.memoryLength = assembled.memory.length;
+        info.contextTokens = estimateTokens(assembled.text);
+
+        for (const trigger of assembled.triggers) {
+            const dropped = assembled.cards.includes(trigger.card) ? "" : " (dropped: over budget)";
+            this.onConsole(describeTrigger(trigger) + dropped);
+        }
+
+        // Front memory only applies to the context it was appended to
+        const memoryBefore = structuredClone(state.memory);
+        state.memory.frontMemory = "";
+        this.recordMemoryChanges("game", memoryBefore);
+
+        // Apply contextModifier hook to produce the AI-facing context
+        const aiContext = await this.safeCallHook("contextModifier", assembled.text);
+
+        this.onLog("Context rebuilt and transformed.");
+
+        return aiContext;
+    }
+
+    /* -------------------------
+         safeCallHook(name, arg)
+         Utility to call a hook safely (try/catch + identity fallback).
+         The changes of a hook that throws or times out are discarded
+         (the sandbox only hands them back when the hook succeeds), and
+         the turn goes on with the text the hook was given.
+         ------------------------- */
+    async safeCallHook(name, arg) {
+        const trace = this.traceHook(name, arg);
+        let started;
+
+        try {
+            await this.loadScripts();
+            this.refreshInfo();
+            this.sandboxLogs = []; // reset log buffer
+            started = performance.now();
+            // before: the parameters the hook ran against, once the loader's queue reached it
+            const { result, logs, before } = await this.loader.run(name, arg);
+            trace.elapsedMs = performance.now() - started;
+            this.sandboxLogs = logs;
+            this.renderHookLogs(name);
+
+            this.capturePlayerMessage(name, before.state.message);
+            this.recordCardChanges(name, before.storyCards);
+            this.recordMemoryChanges(name, before.state.memory);
+
+            const normalized = this.normalizeHookResult(name, result, arg);
+            Object.assign(trace, {
+                result,
+                output: normalized.text,
+                stop: normalized.stop,
+                logs,
+                changes: describeChanges(before, snapshotParameters()),
+            });
+            this.onHookDone(name);
+            return normalized;
+
+        } catch (err) {
+            this.sandboxLogs = err.logs || [];
+            this.renderHookLogs(name);
+            this.reportScriptError(`${this.logPrefix(name)} Hook failed: `, err);
+            this.onConsole("The hook's changes were discarded; the turn goes on with the original text.");
+            if (err.name === "ScriptTimeoutError") {
+                this.onConsole("The sandbox was restarted; Library.js starts over on the next hook.");
+            }
+            Object.assign(trace, {
+                elapsedMs: started === undefined ? 0 : performance.now() - started,
+                output: arg,
+                stop: false,
+                logs: this.sandboxLogs,
+                error: formatScriptError(err),
+            });
+            return { text: arg, stop: false };
+        }
+    }
+
+    /* -------------------------
+         evaluate(code)
+         Runs console code (the Sandbox tab) in the scope the modifiers
+         see. Its changes are applied like a hook's, and memory edits are
+         logged as coming from "sandbox". Code sent while an action is
+         being played waits for it to finish, and actions sent while the
+         code runs are ignored, as during any other action.
+         Resolves to { ok, value, logs } or { ok: false, error, logs }.
+         ------------------------- */
+    async evaluate(code) {
+        await this.idle();
+        return this.runExclusive(() => this.evaluateCode(code));
+    }
+
+    async evaluateCode(code) {
+        try {
+            await this.loadScripts();
+            this.refreshInfo();
+            const { result, logs, before } = await this.loader.evaluate(code);
+            this.recordMemoryChanges("sandbox", before.state.memory);
+            return { ok: true, value: result, logs };
+        } catch (err) {
+            return { ok: false, error: formatScriptError(err), logs: err.logs || [] };
+        }
+    }
+
+    /* -------------------------
+         Hook traces (the Debug tab)
+         this.traces holds one trace per user action:
+           { turn, actions: [{ mode, text, at, hooks }] }
+         the AI output and retries of that turn are further actions, and
+         each hook run adds { hook, input, output, stop, result, elapsedMs,
+         logs, error, changes } to the action it belongs to.
+         ------------------------- */
+    startTrace(mode, text) {
+        this.traces.push({ turn: this.turn, actions: [] });
+        if (this.traces.length > TRACE_LIMIT) this.traces.shift();
+        return this.traceAction(mode, text);
+    }
+
+    traceAction(mode, text) {
+        if (!this.traces.length) this.traces.push({ turn: this.turn, actions: [] });
+        const trace = this.traces[this.traces.length - 1];
+        const action = { mode, text, at: new Date().toISOString(), hooks: [] };
+        trace.actions.push(action);
+        return action;
+    }
+
+    traceHook(name, input) {
+        const trace = this.traces[this.traces.length - 1];
+        const action = trace?.actions[trace.actions.length - 1] || this.traceAction("hook", "");
+        const record = { hook: name, input, changes: [] };
+        action.hooks.push(record);
+        this.recordingStep?.hooks.push(record);
+        return record;
+    }
+
+    /* -------------------------
+         recordStep(step)
+         While a session is recorded, adds one step (a user action, an
+         AI text or a command) with the turn it belongs to; the hooks run
+         for it are added as they start (see traceHook), and Recording.js
+         reads their outcome once the recording stops.
+         ------------------------- */
+    recordStep(step) {
+        if (!this.recording) return;
+        this.recordingStep = { turn: this.turn, ...step, hooks: [] };
+        this.recording.steps.push(this.recordingStep);
+    }
+
+    // Render header + sandbox logs to the emulator console
+    renderHookLogs(name) {
+        try {
+            const prettyNameMap = {
+                inputModifier: "Input Modifier",
+                contextModifier: "Context Modifier",
+                outputModifier: "Output Modifier",
+            };
+            const headerName = prettyNameMap[name] || name;
+            const ts = new Date().toISOString();
+
+            // Header line (timestamped)
+            this.onConsole(`${headerName} @ ${ts}:`);
+            // Blank line for spacing
+            this.onConsole("");
+
+            // Each sandbox log appears as: [inputModifier, turn 3] Log: "message"
+            for (const entry of this.sandboxLogs) {
+                const label = LOG_LABELS[entry.level] || "Log";
+                // use JSON.stringify to get quotes around string and preserve escapes
+                this.onConsole(`${this.logPrefix(name)} ${label}: ${JSON.stringify(entry.message)}`);
+            }
+
+
+            // Add an empty line after logs to improve readability
+            this.onConsole("");
+        } catch (renderErr) {
+            // if rendering the sandbox logs fails, at minimum continue
+            console.warn("Failed to render sandbox logs:", renderErr);
+        }
+    }
+
+    // Which hook on which turn a console line came from
+    logPrefix(name) {
+        return `[${name}, turn ${this.turn}]`;
+    }
+
+    /* -------------------------
+         capturePlayerMessage(name, messageBefore)
+         Records state.message when a hook sets or changes it
+         ------------------------- */
+    capturePlayerMessage(name, messageBefore) {
+        const message = state.message;
+        if (message === messageBefore || message === undefined || message === null || message === "") return;
+
+        this.playerMessage = { hook: name, text: String(message) };
+        this.onConsole(`state.message set by ${name}: ${JSON.stringify(message)}`);
+    }
+
+    // Adds what a hook did to story cards to this turn's cardChanges
+    recordCardChanges(name, cardsBefore) {
+        const { added, removed, changed } = diffById(cardsBefore, storyCards);
+        const record = (change) => (card) => {
+            const earlier = this.cardChanges.find(entry => entry.id === card.id);
+            this.cardChanges = this.cardChanges.filter(entry => entry !== earlier);
+            // A card added earlier in the turn stays "added" until it is removed again
+            if (earlier?.change === "added" && change === "removed") return;
+            if (earlier?.change === "added") change = "added";
+            this.cardChanges.push({ id: card.id, change, hook: name, card: structuredClone(card) });
+        };
+        added.forEach(record("added"));
+        changed.forEach(record("changed"));
+        removed.forEach(record("removed"));
+    }
+
+    /* -------------------------
+         Memory tracking
+         - recordMemoryChanges: logs each state.memory field that differs
+           from memoryBefore, credited to source
+         - editMemory: a user edit from a front end (the Memory tab),
+           applied once the action being played is done
+         ------------------------- */
+    recordMemoryChanges(source, memoryBefore) {
+        for (const field of MEMORY_FIELDS) {
+            const before = memoryBefore?.[field] ?? "";
+            const after = state.memory?.[field] ?? "";
+            if (before === after) continue;
+            this.memoryChanges.push({ turn: this.turn, source, field, before, after });
+        }
+        if (this.memoryChanges.length > MEMORY_LOG_LIMIT) {
+            this.memoryChanges.splice(0, this.memoryChanges.length - MEMORY_LOG_LIMIT);
+        }
+    }
+
+    async editMemory(field, value) {
+        if (!MEMORY_FIELDS.includes(field)) throw new Error(`Unknown memory field ${field}`);
+        await this.idle();
+        const memoryBefore = structuredClone(state.memory);
+        if (!state.memory) state.memory = {};
+        state.memory[field] = String(value ?? "");
+        this.recordMemoryChanges("user edit", memoryBefore);
+    }
+
+    /* -------------------------
+         normalizeHookResult(name, result, arg)
+         Maps a modifier's return value onto { text, stop }:
+         - { stop: true } halts the turn (stop wins over any text)
+         - { text } replaces the text
+         - anything else is an invalid shape and leaves the text unchanged
+         ------------------------- */
+    normalizeHookResult(name, result, arg) {
+        if (result && result.stop === true) {
+            return { text: "", stop: true };
+        }
+
+        if (result && typeof result.text === "string") {
+            return { text: result.text, stop: false };
+        }
+
+        this.onConsole(`Hook ${name} returned invalid shape: ${JSON.stringify(result)}`);
+        return { text: arg, stop: false };
+    }
+
+
+
+    /* -------------------------
+         info bookkeeping
+         - refreshInfo: derived fields, updated before every hook runs
+         - setCharacterNames: the multiplayer characters (info.characterNames)
+         - setActingCharacter: who plays the next do/say actions; null
+           (or "") is the single player, "You"
+         ------------------------- */
+    refreshInfo() {
+        info.actionCount = history.length;
+    }
+
+    setCharacterNames(names) {
+        const unique = [...new Set(names.map(name => String(name).trim()).filter(Boolean))];
+        info.characterNames.splice(0, info.characterNames.length, ...unique);
+        if (!unique.includes(this.actingCharacter)) this.actingCharacter = null;
+    }
+
+    setActingCharacter(name) {
+        if (name === null || name === undefined || name === "") {
+            this.actingCharacter = null;
+            return;
+        }
+        if (!info.characterNames.includes(name)) {
+            throw new Error(`No character named "${name}" (characters: ${info.characterNames.join(", ") || "none"})`);
+        }
+        this.actingCharacter = name;
+    }
+}
@@ -0,0 +1,108 @@
+// generators.js
+// --------------------------------------------------
+// Local stand-ins for the AI model.
+// A generator is any function
+//     (context, { history, info }) => string | Promise<string>
+// that receives the context returned by contextModifier
+// and produces the raw AI text for outputModifier.
+// --------------------------------------------------
+
+/* -------------------------
+     createCannedGenerator(responses, { loop })
+     Plays back a fixed list of responses in order.
+     With loop: false it returns "" once the list runs out.
+     ------------------------- */
+export function createCannedGenerator(responses, { loop = true } = {}) {
+    const list = responses.map(String);
+    let next = 0;
+
+    return function cannedGenerator() {
+        if (!list.length) return "";
+        if (next >= list.length) {
+            if (!loop) return "";
+            next = 0;
+        }
+        return list[next++];
+    };
+}
+
+/* -------------------------
+     createEchoGenerator(wordCount)
+     Repeats the last N words of the context. Useful to see
+     exactly what contextModifier left at the end of the context.
+     ------------------------- */
+export function createEchoGenerator(wordCount = 20) {
+    return function echoGenerator(context) {
+        const words = String(context ?? "").split(/\s+/).filter(Boolean);
+        return " " + words.slice(-wordCount).join(" ");
+    };
+}
+
+/* -------------------------
+     createMarkovGenerator(corpus, { order, length, random })
+     Word-level n-gram chain trained on a text corpus.
+     Generation is seeded from the last words of the context when
+     the corpus knows them, and stops at a sentence end once at
+     least `length` words were produced.
+     ------------------------- */
+export function createMarkovGenerator(corpus, { order = 2, length = 40, random = Math.random } = {}) {
+    const words = String(corpus ?? "").split(/\s+/).filter(Boolean);
+    if (words.length <= order) {
+        throw new Error(`Markov corpus needs more than ${order} words`);
+    }
+
+    const chain = new Map();
+    for (let i = 0; i + order < words.length; i++) {
+        const key = words.slice(i, i + order).join(" ");
+        if (!chain.has(key)) chain.set(key, []);
+        chain.get(key).push(words[i + order]);
+    }
+    const starts = Array.from(chain.keys());
+    const pick = (list) => list[Math.floor(random() * list.length)];
+
+    return function markovGenerator(context) {
+        const contextWords = String(context ?? "").split(/\s+/).filter(Boolean);
+        const seed = contextWords.slice(-order).join(" ");
+        let window = chain.has(seed) ? seed.split(" ") : pick(starts).split(" ");
+
+        const out = chain.has(seed) ? [] : [...window];
+        while (out.length < length * 2) {
+            const followers = chain.get(window.join(" "));
+            if (!followers) break;
+            const word = pick(followers);
+            out.push(word);
+            window = [...window.slice(1), word];
+            if (out.length >= length && /[.!?]["')]?$/.test(word)) break;
+        }
+
+        return " " + out.join(" ");
+    };
+}
+
+/* -------------------------
+     toGenerator(fn)
+     Accepts a user-supplied function (or null to go back to
+     typing the AI turn by hand) and guarantees a string result.
+     ------------------------- */
+export function toGenerator(fn) {
+    if (fn === null || fn === undefined) return null;
+    if (typeof fn !== "function") {
+        throw new Error("A generator must be a function (context, { history, info }) => string");
+    }
+
+    return async function generator(context, details) {
+        const result = await fn(context, details);
+        if (typeof result !== "string") {
+            throw new Error(`Generator returned ${typeof result}, expected a string`);
+        }
+        return result;
+    };
+}
+
+// Splits a text file into canned responses: one per blank-line separated paragraph
+export function splitResponses(text) {
+    return String(text ?? "")
+        .split(/\r?\n\s*\r?\n/)
+        .map(p => p.trim())
+        .filter(Boolean);
+}
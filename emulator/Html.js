@@ -0,0 +1,15 @@
+// Html.js
+// --------------------------------------------------
+// Small helpers shared by the tab panels, which build their markup as
+// template strings.
+// --------------------------------------------------
+
+// Text for HTML content and attribute values; newlines are kept (panels
+// that show multi-line text style it with pre-wrap)
+export function escapeHtml(text) {
+    return String(text ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
@@ -1,52 +1,127 @@
 // Loader.js
+// --------------------------------------------------
+// Reads Library.js and the three modifier scripts once per session
+// and compiles them into the sandbox (see Sandbox.js). Library.js
+// runs once, and its functions and top-level values stay alive
+// across hooks and turns until the scripts are reloaded.
+// --------------------------------------------------
 
-async function loadModifier(modifierPath, globals = {}) {
-    // --- 1. Load Library.js and modifier file
-    const [libResp, modResp] = await Promise.all([
-        fetch('../Script/Library.js'),
-        fetch(modifierPath)
-    ]);
-
-    if (!libResp.ok) throw new Error(`Failed to load Library.js: ${libResp.statusText}`);
-    if (!modResp.ok) throw new Error(`Failed to load ${modifierPath}: ${modResp.statusText}`);
-
-    const librarySource = await libResp.text();
-    let modifierSource = await modResp.text();
-
-    // --- 2. Append code to capture the return value of the modifier
-    modifierSource = modifierSource.replace(
-        /modifier\s*\(\s*text\s*\)\s*;?\s*$/, // matches last `modifier(text)` call
-        'return modifier(text);'
-    );
-    // --- 3. Prepare globals injection code
-    const globalsCode = Object.keys(globals)
-        .map(key => `let ${key} = globals["${key}"];`)
-        .join("\n");
-
-    // --- 4. Create and execute the sandbox function
-    const sandboxFunc = new Function('globals', `
-    // --- Inject emulator globals as local variables
-    ${globalsCode}
-
-    // --- Execute Library.js first
-    ${librarySource}
-    
-    // --- Then execute modifier file (with capture)
-    ${modifierSource}
-  `);
-
-    return sandboxFunc(globals);
+import { snapshotParameters, restoreParameters } from "./Parameters.js";
+import { SCRIPT_FILES, HOOK_NAMES } from "./ScriptRuntime.js";
+import { createSandbox, toError } from "./Sandbox.js";
+
+export { SCRIPT_FILES, HOOK_NAMES };
+
+// Browser default: fetch from the Script/ folder next to emulator/.
+// Always revalidate so an edited file is picked up on reload.
+export async function fetchSource(fileName) {
+    const url = new URL(`../Script/${fileName}`, import.meta.url);
+    const resp = await fetch(url, { cache: "no-cache" });
+    if (!resp.ok) throw new Error(`Failed to load ${fileName}: ${resp.statusText}`);
+    return resp.text();
 }
 
-// --- 5. Export specialized functions
-export async function runInputModifier(globals) {
-    return loadModifier('../Script/Input.js', globals);
+async function readScripts(readSource) {
+    const names = Object.keys(SCRIPT_FILES);
+    const sources = await Promise.all(names.map(name => readSource(SCRIPT_FILES[name])));
+    return Object.fromEntries(names.map((name, i) => [name, sources[i]]));
 }
 
-export async function runContextModifier(globals) {
-    return loadModifier('../Script/Context.js', globals);
+// Sends the current parameters, waits for the sandbox reply and applies
+// its snapshot, or throws its error
+async function applyReply(send) {
+    const before = snapshotParameters();
+    let reply;
+    try {
+        reply = await send(before);
+    } catch (err) {
+        err.logs = err.logs || [];
+        throw err;
+    }
+
+    if (reply.error) {
+        const err = toError(reply.error);
+        err.logs = reply.logs;
+        throw err;
+    }
+
+    restoreParameters(reply.snapshot);
+    return { result: reply.result, logs: reply.logs, before };
 }
 
-export async function runOutputModifier(globals) {
-    return loadModifier('../Script/Output.js', globals);
+/* -------------------------
+     createScriptLoader({ readSource, sandbox })
+     readSource(fileName) resolves to the file's text: fetchSource in
+     the browser, a disk reader in Node (see NodeRunner.js).
+     sandbox defaults to a Web Worker sandbox (see Sandbox.js).
+
+     - load():          read and compile the scripts once; later calls reuse them.
+                        Resolves to { errors }: the syntax errors of modifier
+                        files that did not compile, whose hooks fail until
+                        fixed while the others run (see checkSyntax)
+     - reload():        read and compile again (Library.js top-level code runs
+                        again), once the calls queued before it are done
+     - run(hook, text): call a modifier against the current parameters.
+                        Resolves to { result, logs, before } (before: the
+                        parameters it ran against) and applies the hook's
+                        changes; on failure rejects with err.logs attached
+                        and leaves the parameters untouched. Calls run one
+                        at a time, in order: each reply replaces the
+                        parameters wholesale, so a call sends its snapshot
+                        only once the one before it has been applied.
+     - evaluate(code):  the same for console code (the Sandbox tab), in the
+                        same queue as the hooks; result is the completion
+                        value as display text
+     - dispose():       stop the sandbox
+     ------------------------- */
+export function createScriptLoader({ readSource = fetchSource, sandbox = createSandbox() } = {}) {
+    let loaded = null;
+    // settles when the last queued sandbox call has been applied
+    let queue = Promise.resolve();
+
+    function enqueue(task) {
+        const pending = queue.then(task);
+        queue = pending.catch(() => {});
+        return pending;
+    }
+
+    return {
+        sandbox,
+
+        load() {
+            if (!loaded) {
+                const pending = readScripts(readSource)
+                    .then(sources => sandbox.load(sources))
+                    .then(errors => ({ errors }));
+                // A failed load (missing file, syntax error) is retried on the next call
+                pending.catch(() => {
+                    if (loaded === pending) loaded = null;
+                });
+                loaded = pending;
+            }
+            return loaded;
+        },
+
+        reload() {
+            return enqueue(() => {
+                loaded = null;
+                return this.load();
+            });
+        },
+
+        async run(hook, text) {
+            if (!HOOK_NAMES.includes(hook)) throw new Error(`Unknown hook ${hook}`);
+            await this.load();
+            return enqueue(() => applyReply(before => sandbox.run(hook, text, before)));
+        },
+
+        async evaluate(code) {
+            await this.load();
+            return enqueue(() => applyReply(before => sandbox.evaluate(code, before)));
+        },
+
+        dispose() {
+            sandbox.dispose();
+        },
+    };
 }
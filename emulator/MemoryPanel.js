@@ -0,0 +1,105 @@
+// MemoryPanel.js
+// --------------------------------------------------
+// The Memory tab: edits state.memory.context (plot essentials),
+// authorsNote and frontMemory, shows their live values after every
+// hook, and lists per turn who changed which field: a user edit, the
+// game (front memory is cleared once used), the Sandbox console or one
+// of the modifiers (engine.memoryChanges, see Engine.recordMemoryChanges).
+// --------------------------------------------------
+
+import { state } from "./Parameters.js";
+import { MEMORY_FIELDS } from "./Engine.js";
+import { escapeHtml } from "./Html.js";
+
+const FIELD_LABELS = {
+    context: "Plot essentials (state.memory.context)",
+    authorsNote: "Author's note (state.memory.authorsNote)",
+    frontMemory: "Front memory (state.memory.frontMemory)",
+};
+
+export class MemoryPanel {
+    /* -------------------------
+         new MemoryPanel(root, { engine, onChange })
+         root:     element the panel renders into
+         engine:   edits go through engine.editMemory so they are logged
+         onChange: called after the user edited a field
+         ------------------------- */
+    constructor(root, { engine, onChange = () => {} } = {}) {
+        this.root = root;
+        this.engine = engine;
+        this.onChange = onChange;
+
+        this.build();
+        this.render();
+    }
+
+    build() {
+        const fields = MEMORY_FIELDS.map(field => `
+            <label class="memory-field">
+                <span>${escapeHtml(FIELD_LABELS[field])}</span>
+                <textarea data-field="${field}" rows="${field === "context" ? 6 : 3}"></textarea>
+            </label>
+        `).join("");
+
+        this.root.innerHTML = `
+            <div class="memory-fields">${fields}</div>
+            <div class="memory-log-head">Changes by turn (newest first)</div>
+            <div class="memory-log"></div>
+        `;
+
+        this.dom = {
+            fields: Object.fromEntries(MEMORY_FIELDS.map(field =>
+                [field, this.root.querySelector(`[data-field="${field}"]`)])),
+            log: this.root.querySelector(".memory-log"),
+        };
+
+        // A field is written when it loses focus, the way the game saves
+        // memory edits; during a turn, once its hooks are done
+        for (const [field, textarea] of Object.entries(this.dom.fields)) {
+            textarea.addEventListener("change", async () => {
+                await this.engine.editMemory(field, textarea.value);
+                this.onChange();
+                this.render();
+            });
+        }
+    }
+
+    render() {
+        for (const [field, textarea] of Object.entries(this.dom.fields)) {
+            // Never overwrite what the user is typing
+            if (document.activeElement === textarea) continue;
+            textarea.value = state.memory?.[field] ?? "";
+        }
+        this.renderLog();
+    }
+
+    renderLog() {
+        const turns = new Map();
+        for (const change of this.engine.memoryChanges) {
+            if (!turns.has(change.turn)) turns.set(change.turn, []);
+            turns.get(change.turn).push(change);
+        }
+
+        if (!turns.size) {
+            this.dom.log.innerHTML = `<div class="memory-empty">No changes yet.</div>`;
+            return;
+        }
+
+        this.dom.log.innerHTML = [...turns.entries()].reverse().map(([turn, changes]) => `
+            <div class="memory-turn">
+                <div class="memory-turn-head">Turn ${turn}</div>
+                ${changes.map(change => this.renderChange(change)).join("")}
+            </div>
+        `).join("");
+    }
+
+    renderChange(change) {
+        return `
+            <div class="memory-change">
+                <div><span class="memory-source">${escapeHtml(change.source)}</span> changed <b>${escapeHtml(change.field)}</b></div>
+                <div class="memory-before">- ${escapeHtml(change.before) || "(empty)"}</div>
+                <div class="memory-after">+ ${escapeHtml(change.after) || "(empty)"}</div>
+            </div>
+        `;
+    }
+}
@@ -0,0 +1,297 @@
+// emulator/NodeRunner.js
+// --------------------------------------------------
+// Headless runner: plays a scripted sequence of turns against the
+// script files on disk and prints the text, context and state.
+//
+// Usage:
+//   node emulator/NodeRunner.js <turns.json> [--scripts <dir>] [--timeout <ms>]
+//        [--generator echo | canned:<file> | markov:<file>]
+//        [--load <adventure.json | scenario.json | cards.json>] [--save <adventure.json>]
+//        [--export-cards <cards.json>] [--record <recording.json>]
+//        [--characters <Alice,Bob>]
+//
+// turns.json is an array of steps, played in order:
+//   { "mode": "do", "text": "open the door" }   a user action
+//   { "mode": "say", "text": "Hi", "character": "Alice" }
+//                                               a multiplayer character's action;
+//                                               they keep acting until another is picked
+//   { "ai": "The door creaks open." }           text for the pending AI turn
+//   { "command": "undo" }                       undo, redo, retry or erase
+//   { "command": "retry", "ai": "..." }         retry with a different AI text
+//
+// --load starts from a saved adventure, a starting scenario (see
+// Adventure.js) or an AI Dungeon story-card export (see AidFormat.js);
+// --save writes the adventure after the last step, --export-cards
+// the story cards in AI Dungeon's format, and --record a recording of
+// the steps to replay with ReplayRunner.js (see Recording.js).
+// --characters sets info.characterNames for a multiplayer adventure.
+// --------------------------------------------------
+
+import { readFile, writeFile } from "node:fs/promises";
+import { resolve, join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { Worker } from "node:worker_threads";
+
+import { state, storyCards, history } from "./Parameters.js";
+import { Engine } from "./Engine.js";
+import { createScriptLoader } from "./Loader.js";
+import { createSandbox } from "./Sandbox.js";
+import { saveAdventure, loadAdventure, startAdventure, isAdventure } from "./Adventure.js";
+import { importStoryCards, exportStoryCards, isAidStoryCardExport } from "./AidFormat.js";
+import { startRecording, stopRecording } from "./Recording.js";
+import {
+    createCannedGenerator,
+    createEchoGenerator,
+    createMarkovGenerator,
+    splitResponses,
+} from "./Generators.js";
+
+export const DEFAULT_SCRIPT_DIR = fileURLToPath(new URL("../Script/", import.meta.url));
+
+// readSource for the loader: script files straight from disk
+export function createDiskReader(scriptDir = DEFAULT_SCRIPT_DIR) {
+    return (fileName) => readFile(join(scriptDir, fileName), "utf8");
+}
+
+// Sandbox worker handle for Node (see Sandbox.js for the browser one)
+export function createNodeWorker() {
+    const worker = new Worker(new URL("./SandboxWorker.js", import.meta.url));
+    return {
+        postMessage: (message) => worker.postMessage(message),
+        onMessage: (handler) => worker.on("message", handler),
+        onError: (handler) => worker.on("error", handler),
+        terminate: () => worker.terminate(),
+    };
+}
+
+// Engine wired to disk scripts; console lines are indented under each turn.
+// Call engine.dispose() when done so the sandbox worker lets the process exit.
+export function createNodeEngine({ scriptDir, onConsole, timeoutMs, ...opts } = {}) {
+    return new Engine({
+        ...opts,
+        loader: createScriptLoader({
+            readSource: createDiskReader(scriptDir),
+            sandbox: createSandbox({ createWorker: createNodeWorker, timeoutMs }),
+        }),
+        onConsole: onConsole || ((msg) => console.log(`    | ${msg}`)),
+    });
+}
+
+// "--generator echo", "canned:<file>" or "markov:<file>"
+export async function loadGenerator(spec) {
+    if (!spec) return null;
+    if (spec === "echo") return createEchoGenerator();
+
+    const [kind, file] = spec.split(/:(.*)/s);
+    if (!file) throw new Error(`Generator "${spec}" needs a file: ${kind}:<file>`);
+
+    const text = await readFile(resolve(file), "utf8");
+    if (kind === "canned") return createCannedGenerator(splitResponses(text));
+    if (kind === "markov") return createMarkovGenerator(text);
+    throw new Error(`Unknown generator "${kind}" (expected echo, canned or markov)`);
+}
+
+/* -------------------------
+     runTurns(engine, steps, print)
+     Plays each step and prints what happened:
+     the text added to history, the context when the turn
+     waits for the AI, halts and state.message.
+     ------------------------- */
+export async function runTurns(engine, steps, print = console.log) {
+    for (const [i, step] of steps.entries()) {
+        if (step.command) {
+            print(`--- Step ${i + 1}: ${step.command}`);
+            const before = history.length;
+            const turn = await runCommand(engine, step);
+            print(`    history: ${before} -> ${history.length} actions, ${engine.currentSide} to act`);
+            if (turn && history.length) {
+                const last = history[history.length - 1];
+                print(`    text [${last.type}]: ${JSON.stringify(last.text)}`);
+            }
+            if (turn && turn.context !== undefined) {
+                print("    context:");
+                print(turn.context.replace(/^/gm, "      "));
+            }
+            continue;
+        }
+
+        const isAI = Object.prototype.hasOwnProperty.call(step, "ai");
+        const mode = isAI ? "continue" : (step.mode || "do");
+        const text = isAI ? step.ai : (step.text ?? "");
+
+        if (isAI !== (engine.currentSide === "ai")) {
+            throw new Error(`Step ${i + 1}: expected ${engine.currentSide === "ai" ? "an { ai } step" : "a user step"}, got ${JSON.stringify(step)}`);
+        }
+
+        if (!isAI && step.character !== undefined) engine.setActingCharacter(step.character);
+        const actor = !isAI && engine.actingCharacter ? ` (${engine.actingCharacter})` : "";
+        print(`--- Step ${i + 1}: ${isAI ? "ai" : mode}${actor} ${JSON.stringify(text)}`);
+        const before = history.length;
+        const turn = await engine.handleInput(mode, text);
+        if (!turn) {
+            print("    (ignored empty input)");
+            continue;
+        }
+
+        for (const entry of history.slice(before)) {
+            print(`    text [${entry.type}]: ${JSON.stringify(entry.text)}`);
+        }
+        if (turn.halt) print(`    halted by ${turn.halt.hook}: ${turn.halt.reason}`);
+        if (turn.message) print(`    state.message (${turn.message.hook}): ${JSON.stringify(turn.message.text)}`);
+        if (turn.context !== undefined) {
+            print("    context:");
+            print(turn.context.replace(/^/gm, "      "));
+        }
+    }
+}
+
+/* -------------------------
+     runCommand(engine, step)
+     { command: "undo" | "redo" | "retry" | "erase", ai }
+     Resolves to the retried turn (see Engine.retry), else null.
+     ------------------------- */
+export async function runCommand(engine, step) {
+    switch (step.command) {
+        case "undo": engine.undo(); return null;
+        case "redo": engine.redo(); return null;
+        case "erase": engine.erase(); return null;
+        case "retry": return engine.retry(step.ai);
+        default:
+            throw new Error(`Unknown command "${step.command}" (expected undo, redo, retry or erase)`);
+    }
+}
+
+export function printFinalState(print = console.log) {
+    print("=== state ===");
+    print(JSON.stringify(state, null, 2));
+    print("=== storyCards ===");
+    print(JSON.stringify(storyCards, null, 2));
+    print("=== history ===");
+    print(JSON.stringify(history, null, 2));
+}
+
+// Command-line options of the runners: flag -> [args key, value parser]
+const OPTIONS = {
+    "--scripts": ["scriptDir", resolve],
+    "--timeout": ["timeoutMs", Number],
+    "--generator": ["generator", String],
+    "--load": ["load", resolve],
+    "--save": ["save", resolve],
+    "--export-cards": ["exportCards", resolve],
+    "--record": ["record", resolve],
+    "--characters": ["characters", value => value.split(",")],
+};
+
+/* -------------------------
+     parseArgs(argv, flags)
+     { files, ...options } from the command line; only the given
+     flags (see OPTIONS) are read as options, anything else is a file
+     ------------------------- */
+export function parseArgs(argv, flags = Object.keys(OPTIONS)) {
+    const args = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!flags.includes(arg)) {
+            args.files.push(arg);
+            continue;
+        }
+        const [key, parse] = OPTIONS[arg];
+        args[key] = parse(argv[++i]);
+    }
+    return args;
+}
+
+/* -------------------------
+     runReportFiles(argv, { usage, totals, run })
+     The main of the report runners (ScenarioRunner.js, ReplayRunner.js):
+     reads <file>... [--scripts <dir>] [--timeout <ms>], calls
+     run(engine, file, report) for each file, where report(passed, lines)
+     prints one report, then prints the totals (totals names them, as
+     ["passed", "failed"]) and exits with code 1 when any report failed
+     ------------------------- */
+export async function runReportFiles(argv, { usage, totals, run }) {
+    const args = parseArgs(argv, ["--scripts", "--timeout"]);
+    if (!args.files.length) {
+        console.error(`Usage: ${usage}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    // Hook console output is noise here; the report carries what matters
+    const engine = createNodeEngine({ scriptDir: args.scriptDir, timeoutMs: args.timeoutMs, onConsole: () => {} });
+
+    let passed = 0;
+    let failed = 0;
+    const report = (ok, lines) => {
+        for (const line of lines) console.log(line);
+        if (ok) passed++;
+        else failed++;
+    };
+    try {
+        for (const file of args.files) await run(engine, file, report);
+    } finally {
+        engine.dispose();
+    }
+
+    console.log(`\n${passed} ${totals[0]}, ${failed} ${totals[1]}`);
+    if (failed) process.exitCode = 1;
+}
+
+// Runs main when moduleUrl is the script node was started with
+export function runIfMain(moduleUrl, main) {
+    if (process.argv[1] && moduleUrl === pathToFileURL(resolve(process.argv[1])).href) {
+        main().catch((err) => {
+            console.error(err.message);
+            process.exitCode = 1;
+        });
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.files.length !== 1) {
+        console.error("Usage: node emulator/NodeRunner.js <turns.json> [--scripts <dir>] [--timeout <ms>] [--generator echo|canned:<file>|markov:<file>] [--load <file>] [--save <file>] [--export-cards <file>] [--record <file>] [--characters <Alice,Bob>]");
+        process.exitCode = 2;
+        return;
+    }
+
+    const steps = JSON.parse(await readFile(resolve(args.files[0]), "utf8"));
+    if (!Array.isArray(steps)) throw new Error("The turns file must hold a JSON array of steps");
+
+    const engine = createNodeEngine({
+        scriptDir: args.scriptDir,
+        timeoutMs: args.timeoutMs,
+        generator: await loadGenerator(args.generator),
+        characterNames: args.characters,
+    });
+
+    try {
+        if (args.load) {
+            const data = JSON.parse(await readFile(args.load, "utf8"));
+            if (isAdventure(data)) loadAdventure(engine, data);
+            else if (isAidStoryCardExport(data)) importStoryCards(data);
+            else await startAdventure(engine, data);
+        }
+        // a loaded adventure brings its own characters; the flag wins
+        if (args.characters) engine.setCharacterNames(args.characters);
+        if (args.record) startRecording(engine);
+        await runTurns(engine, steps);
+        printFinalState();
+        if (args.record) {
+            await writeFile(args.record, JSON.stringify(stopRecording(engine), null, 2) + "\n");
+            console.log(`Recording saved to ${args.record}`);
+        }
+        if (args.save) {
+            await writeFile(args.save, JSON.stringify(saveAdventure(engine), null, 2) + "\n");
+            console.log(`Adventure saved to ${args.save}`);
+        }
+        if (args.exportCards) {
+            await writeFile(args.exportCards, JSON.stringify(exportStoryCards(), null, 2) + "\n");
+            console.log(`Story cards exported to ${args.exportCards}`);
+        }
+    } finally {
+        engine.dispose();
+    }
+}
+
+runIfMain(import.meta.url, main);
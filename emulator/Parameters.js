@@ -35,12 +35,19 @@ Each action object has fields:
   };
 
   // info
+  // Kept up to date by the emulator before every modifier runs:
+  //   actionCount    - number of actions in history
+  //   characterNames - multiplayer character names
+  //   maxChars       - context budget in characters
+  //   memoryLength   - length of the memory section of the last context
+  //   contextTokens  - estimated tokens in the last assembled context
 
   export const info = {
       characterNames: [],
       actionCount: 0,
       maxChars: 0,
       memoryLength: 0,
+      contextTokens: 0,
   };
 
 // --------------------
@@ -53,34 +60,159 @@ Each action object has fields:
 // Story card functions
 // --------------------
 
-// Add a story card
-export function addStoryCard(keys, entry, type = "general") {
-  const keyString = JSON.stringify(keys);
-  const exists = storyCards.some(card => JSON.stringify(card.keys) === keyString);
-  if (exists) return false;
+/*
+Each story card has fields:
+  - id (string, stable for the life of the card)
+  - createdAt, updatedAt (ISO timestamps)
+  - keys (comma-separated trigger keys)
+  - entry (text injected into the context)
+  - type, title, description
+  - useForCharacterCreation
+*/
+
+let lastStoryCardId = 0;
+
+// Ids keep counting up past any card already in the list, so they are never reused
+function nextStoryCardId() {
+  for (const card of storyCards) {
+    const n = Number(card.id);
+    if (Number.isInteger(n) && n > lastStoryCardId) lastStoryCardId = n;
+  }
+  lastStoryCardId += 1;
+  return String(lastStoryCardId);
+}
+
+function normalizeKeys(keys) {
+  if (Array.isArray(keys)) return keys.map(String).join(",");
+  if (typeof keys !== "string") {
+    throw new Error("Story card keys must be a string");
+  }
+  return keys;
+}
+
+function assertCardIndex(index) {
+  if (!Number.isInteger(index) || index < 0 || index >= storyCards.length) {
+    throw new Error("Story card does not exist");
+  }
+}
 
-  const newCard = {
-    id: storyCards.length,
+function createStoryCard({ keys, entry, type, title, description, useForCharacterCreation }) {
+  const now = new Date().toISOString();
+  return {
+    id: nextStoryCardId(),
+    createdAt: now,
+    updatedAt: now,
     keys,
-    entry,
-    type
+    entry: String(entry ?? ""),
+    type: type ?? "general",
+    title: String(title ?? ""),
+    description: String(description ?? ""),
+    useForCharacterCreation: Boolean(useForCharacterCreation)
   };
+}
+
+// Add a story card.
+// Returns the new card's index, or the card itself with { returnCard: true }.
+// Returns false when a card with the same keys already exists.
+export function addStoryCard(keys, entry = "", type = "general", name = "", notes = "", options = {}) {
+  const keyString = normalizeKeys(keys);
+  const exists = storyCards.some(card => card.keys === keyString);
+  if (exists) return false;
+
+  const newCard = createStoryCard({ keys: keyString, entry, type, title: name, description: notes });
   storyCards.push(newCard);
-  return storyCards.length - 1;
+  return options && options.returnCard ? newCard : storyCards.length - 1;
+}
+
+// Append a card from an imported file. Unlike addStoryCard (the script API)
+// it keeps cards whose keys are blank or shared with another card, since
+// exported scenarios have both. Not exposed to scripts. Returns the card.
+export function importStoryCard(fields) {
+  const card = createStoryCard({ ...fields, keys: normalizeKeys(fields.keys ?? "") });
+  storyCards.push(card);
+  return card;
 }
 
 // Remove a story card
 export function removeStoryCard(index) {
-  if (index < 0 || index >= storyCards.length) {
-    throw new Error("Story card does not exist");
-  }
+  assertCardIndex(index);
   storyCards.splice(index, 1);
 }
 
-// Update a story card
-export function updateStoryCard(index, keys, entry, type = "general") {
-  if (index < 0 || index >= storyCards.length) {
-    throw new Error("Story card does not exist");
+// Update a story card.
+// Fields passed as undefined keep their current value; id and createdAt never change.
+export function updateStoryCard(index, keys, entry, type, name, notes) {
+  assertCardIndex(index);
+  const card = storyCards[index];
+
+  if (keys !== undefined) card.keys = normalizeKeys(keys);
+  if (entry !== undefined) card.entry = String(entry ?? "");
+  if (type !== undefined) card.type = type;
+  if (name !== undefined) card.title = String(name ?? "");
+  if (notes !== undefined) card.description = String(notes ?? "");
+  card.updatedAt = new Date().toISOString();
+}
+
+// --------------------
+// Reset
+// --------------------
+
+// Empty every data parameter in place, so references held by the emulator
+// and by scripts stay valid. maxChars and characterNames are configuration
+// and survive a reset.
+export function resetParameters() {
+  history.length = 0;
+  storyCards.length = 0;
+
+  for (const key of Object.keys(state)) delete state[key];
+  state.memory = {
+    context: "",
+    authorsNote: "",
+    frontMemory: ""
+  };
+
+  info.actionCount = 0;
+  info.memoryLength = 0;
+  info.contextTokens = 0;
+}
+
+// --------------------
+// Snapshots
+// --------------------
+
+// A deep copy of every data parameter, safe to send to another realm
+// (a worker) or to keep for later. Includes the story card id counter
+// so ids stay unique wherever cards are added.
+export function snapshotParameters() {
+  return structuredClone({
+    history,
+    storyCards,
+    state,
+    info,
+    lastStoryCardId
+  });
+}
+
+// Put a snapshot back, in place: the exported objects keep their identity,
+// so anything holding a reference (scripts, Library.js, the emulator) sees it.
+// maxChars and characterNames are configuration, as in resetParameters, and
+// stay as they are unless config is set: the sandbox worker takes them from
+// the host's snapshot.
+export function restoreParameters(snapshot, { config = false } = {}) {
+  const copy = structuredClone(snapshot);
+
+  history.splice(0, history.length, ...copy.history);
+  storyCards.splice(0, storyCards.length, ...copy.storyCards);
+
+  for (const key of Object.keys(state)) delete state[key];
+  Object.assign(state, copy.state);
+
+  const { maxChars, characterNames = [], ...rest } = copy.info;
+  Object.assign(info, rest);
+  if (config) {
+    info.maxChars = maxChars;
+    info.characterNames.splice(0, info.characterNames.length, ...characterNames);
   }
-  storyCards[index] = { id: index, keys, entry, type };
+
+  lastStoryCardId = Math.max(lastStoryCardId, copy.lastStoryCardId || 0);
 }
@@ -0,0 +1,257 @@
+// Recording.js
+// --------------------------------------------------
+// Records a session and replays it against the current scripts, as a
+// regression check: every step of the replay is compared with the
+// recording, and each turn where inputModifier, contextModifier or
+// outputModifier now returns something else (or stops, or fails where
+// it did not) is reported with a diff.
+//
+// Recording file:
+//   {
+//     "format": "aid-emulator-recording",
+//     "version": 1,
+//     "recordedAt": "2026-01-01T12:00:00.000Z",
+//     "start": { ...adventure file (see Adventure.js) from when recording began },
+//     "steps": [
+//       { "turn": 1, "mode": "do", "text": "open the door", "character": null, "hooks": [...] },
+//       { "turn": 1, "ai": "The door creaks open.", "hooks": [...] },
+//       { "turn": 1, "command": "retry", "ai": "It is locked.", "hooks": [...] },
+//       { "turn": 1, "command": "undo", "hooks": [] }
+//     ]
+//   }
+// character is the acting multiplayer character (null for "You"),
+// and each hook is { "hook", "input", "output", "stop", "error" }:
+// output is the text the hook handed on (the context, for
+// contextModifier) and error is the failed hook's message, else null.
+//
+// The AI texts are replayed as recorded, with the generator off.
+// Library.js starts fresh for the replay, so a recording made after
+// its top-level values had changed can differ from the first step.
+// --------------------------------------------------
+
+import { saveAdventure, loadAdventure } from "./Adventure.js";
+import { diffLines, formatLineDiff } from "./Diff.js";
+
+export const RECORDING_FORMAT = "aid-emulator-recording";
+export const RECORDING_VERSION = 1;
+
+// Hook fields compared by a replay
+const COMPARED_FIELDS = ["input", "output", "stop", "error"];
+
+// Engine fields a replay with { restore: true } puts back along with the
+// adventure itself, so undo and the tabs pick up where they were
+const RESTORED_ENGINE_FIELDS = [
+    "checkpoints", "redoStack", "contextSnapshot", "cardChanges",
+    "memoryChanges", "traces", "halt", "playerMessage", "lastAssembledContext",
+];
+
+/* -------------------------
+     startRecording(engine) / stopRecording(engine)
+     stopRecording returns the recording, ready for JSON.stringify,
+     or null when nothing was being recorded
+     ------------------------- */
+export function startRecording(engine) {
+    engine.recording = {
+        recordedAt: new Date().toISOString(),
+        start: saveAdventure(engine),
+        steps: [],
+    };
+    engine.recordingStep = null;
+}
+
+export function stopRecording(engine) {
+    const recording = engine.recording;
+    engine.recording = null;
+    engine.recordingStep = null;
+    if (!recording) return null;
+
+    return {
+        format: RECORDING_FORMAT,
+        version: RECORDING_VERSION,
+        recordedAt: recording.recordedAt,
+        start: recording.start,
+        steps: recording.steps.map(serializeStep),
+    };
+}
+
+// A recorded step with its live trace records cut down to what a replay compares
+function serializeStep(step) {
+    return {
+        ...step,
+        hooks: step.hooks.map(hook => ({
+            hook: hook.hook,
+            input: hook.input,
+            output: hook.output ?? null,
+            stop: Boolean(hook.stop),
+            // the message only: stack lines move whenever Library.js is edited
+            error: hook.error ? hook.error.split("\n")[0] : null,
+        })),
+    };
+}
+
+export function isRecording(data) {
+    return Boolean(data) && data.format === RECORDING_FORMAT;
+}
+
+function validateRecording(data) {
+    if (!isRecording(data)) {
+        throw new Error(`Not a recording (expected "format": "${RECORDING_FORMAT}")`);
+    }
+    if (data.version > RECORDING_VERSION) {
+        throw new Error(`Recording version ${data.version} is newer than this emulator (${RECORDING_VERSION})`);
+    }
+    if (!data.start) throw new Error("Recording has no start adventure");
+    if (!Array.isArray(data.steps)) throw new Error("Recording has no steps array");
+}
+
+// "do \"open the door\"", "ai \"The door...\"" or the command
+export function describeStep(step) {
+    if (step.command) return step.command;
+    if (step.mode !== undefined) return `${step.mode} ${JSON.stringify(step.text)}`;
+    return `ai ${JSON.stringify(step.ai)}`;
+}
+
+/* -------------------------
+     replayRecording(engine, recording, { restore })
+     Reloads the scripts, loads the recording's start adventure and
+     plays every step again with the generator off, recording the
+     replay to compare it step by step. A replay that no longer lines
+     up with the recording (the turn is with the AI where the
+     recording has a user action, or the other way round) stops there.
+     With restore, the adventure the engine held before is loaded back
+     afterwards (Library.js keeps the values of the replay).
+     Returns { passed, steps: [{ index, turn, label, passed, differences }],
+     stoppedAt }, where each difference is
+     { hook, field, message, diff } and stoppedAt is
+     { index, reason } or null.
+     ------------------------- */
+export async function replayRecording(engine, recording, { restore = false } = {}) {
+    validateRecording(recording);
+
+    const saved = restore ? {
+        adventure: saveAdventure(engine),
+        fields: Object.fromEntries(RESTORED_ENGINE_FIELDS.map(field => [field, engine[field]])),
+    } : null;
+    const generator = engine.generator;
+    engine.setGenerator(null);
+    const report = { passed: true, steps: [], stoppedAt: null };
+
+    try {
+        await engine.reloadScripts();
+        loadAdventure(engine, recording.start);
+        startRecording(engine);
+
+        for (const [i, step] of recording.steps.entries()) {
+            const reason = await playStep(engine, step);
+            if (reason) {
+                report.stoppedAt = { index: i + 1, reason };
+                report.passed = false;
+                break;
+            }
+
+            const replayed = serializeStep(engine.recording.steps[engine.recording.steps.length - 1] || { hooks: [] });
+            const differences = compareHooks(step.hooks || [], replayed.hooks);
+            report.steps.push({
+                index: i + 1,
+                turn: step.turn,
+                label: describeStep(step),
+                passed: differences.length === 0,
+                differences,
+            });
+            if (differences.length) report.passed = false;
+        }
+    } finally {
+        stopRecording(engine);
+        // the engine's own generator, as it was (setGenerator would wrap it again)
+        engine.generator = generator;
+        if (saved) {
+            loadAdventure(engine, saved.adventure);
+            Object.assign(engine, saved.fields);
+        }
+    }
+
+    return report;
+}
+
+// Plays one recorded step; returns why it cannot be played, or null
+async function playStep(engine, step) {
+    if (step.command) {
+        if (step.command === "retry") {
+            return (await engine.retry(step.ai)) ? null : "there is no AI output to retry";
+        }
+        if (!["undo", "redo", "erase"].includes(step.command)) return `unknown command "${step.command}"`;
+        return engine[step.command]() ? null : `nothing to ${step.command}`;
+    }
+
+    if (step.mode !== undefined) {
+        if (engine.currentSide !== "user") return "the turn is waiting for the AI, but the recording has a user action";
+        try {
+            engine.setActingCharacter(step.character ?? null);
+        } catch (err) {
+            return err.message;
+        }
+        return (await engine.handleInput(step.mode, step.text)) ? null : "the action was ignored";
+    }
+
+    if (engine.currentSide !== "ai") return "the turn is with the user, but the recording has an AI output";
+    await engine.handleInput("continue", step.ai);
+    return null;
+}
+
+function compareHooks(recorded, replayed) {
+    const differences = [];
+    for (let i = 0; i < Math.max(recorded.length, replayed.length); i++) {
+        const before = recorded[i];
+        const after = replayed[i];
+
+        if (!after || !before || before.hook !== after.hook) {
+            differences.push({
+                hook: (before || after).hook,
+                field: "hook",
+                message: `hook ${i + 1} was ${before ? before.hook : "not run"}, now ${after ? after.hook : "not run"}`,
+                diff: [],
+            });
+            continue;
+        }
+
+        for (const field of COMPARED_FIELDS) {
+            if (before[field] === after[field]) continue;
+            const isText = typeof before[field] === "string" && typeof after[field] === "string";
+            differences.push({
+                hook: before.hook,
+                field,
+                message: `${before.hook} ${field} was ${summarize(before[field])}, now ${summarize(after[field])}`,
+                diff: isText ? formatLineDiff(diffLines(before[field], after[field])) : [],
+            });
+        }
+    }
+    return differences;
+}
+
+// Short form of a compared value for a one-line message
+function summarize(value) {
+    if (typeof value !== "string") return JSON.stringify(value);
+    const firstLine = value.split("\n")[0];
+    return JSON.stringify(firstLine.length > 60 ? `${firstLine.slice(0, 60)}...` : firstLine) +
+        (value.includes("\n") ? ` (${value.split("\n").length} lines)` : "");
+}
+
+// Lines for a terminal: ok/DIFF per step, with diffs under each difference
+export function formatReplayReport(report) {
+    const lines = [];
+    for (const step of report.steps) {
+        lines.push(`  ${step.passed ? "ok  " : "DIFF"} turn ${step.turn}, step ${step.index}: ${step.label}`);
+        for (const difference of step.differences) {
+            lines.push(`         ${difference.message}`);
+            if (difference.diff.length) lines.push("           (- recorded, + replayed)");
+            for (const line of difference.diff) lines.push(`           ${line}`);
+        }
+    }
+    if (report.stoppedAt) lines.push(`  STOP step ${report.stoppedAt.index}: ${report.stoppedAt.reason}`);
+
+    const changed = report.steps.filter(step => !step.passed).length;
+    lines.push(report.passed
+        ? `Replay matches the recording (${report.steps.length} steps).`
+        : `Replay differs from the recording: ${changed} of ${report.steps.length} steps changed${report.stoppedAt ? ", replay stopped early" : ""}.`);
+    return lines;
+}
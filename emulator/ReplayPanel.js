@@ -0,0 +1,124 @@
+// ReplayPanel.js
+// --------------------------------------------------
+// The Replay tab: replays a recorded session (see Recording.js) against
+// the scripts as they are now and lists every step, with the ones where
+// a hook returned something else, stopped or failed differently
+// highlighted and diffed against the recording.
+// --------------------------------------------------
+
+import { replayRecording } from "./Recording.js";
+import { escapeHtml } from "./Html.js";
+
+export class ReplayPanel {
+    /* -------------------------
+         new ReplayPanel(root, { engine, onChange })
+         root:     element the panel renders into
+         engine:   the replay runs on it; the current adventure is put back afterwards
+         onChange: called after a replay, once the adventure is back
+         ------------------------- */
+    constructor(root, { engine, onChange = () => {} } = {}) {
+        this.root = root;
+        this.engine = engine;
+        this.onChange = onChange;
+
+        // the last recording replayed, for "replay again" after editing the scripts
+        this.recording = null;
+        this.report = null;
+        this.running = false;
+
+        this.build();
+        this.render();
+    }
+
+    build() {
+        this.root.innerHTML = `
+            <div class="replay-toolbar">
+                <button data-action="again" disabled>replay again</button>
+                <label><input type="checkbox" data-control="changed-only"> changed steps only</label>
+                <span class="replay-summary"></span>
+            </div>
+            <div class="replay-steps"></div>
+        `;
+
+        this.dom = {
+            again: this.root.querySelector('[data-action="again"]'),
+            changedOnly: this.root.querySelector('[data-control="changed-only"]'),
+            summary: this.root.querySelector(".replay-summary"),
+            steps: this.root.querySelector(".replay-steps"),
+        };
+
+        this.dom.again.addEventListener("click", () => this.replay(this.recording));
+        this.dom.changedOnly.addEventListener("change", () => this.render());
+    }
+
+    /* -------------------------
+         replay(recording)
+         Runs the replay and shows its report; resolves to the report
+         ------------------------- */
+    async replay(recording) {
+        if (this.running || !recording) return null;
+        this.running = true;
+        this.recording = recording;
+        this.dom.summary.textContent = "Replaying...";
+        this.dom.again.disabled = true;
+
+        try {
+            this.report = await replayRecording(this.engine, recording, { restore: true });
+        } catch (err) {
+            this.report = null;
+            this.dom.summary.textContent = `Could not replay: ${err.message}`;
+            return null;
+        } finally {
+            this.running = false;
+            this.dom.again.disabled = false;
+            this.onChange();
+        }
+
+        this.render();
+        return this.report;
+    }
+
+    render() {
+        const report = this.report;
+        if (!report) {
+            if (!this.recording) {
+                this.dom.steps.innerHTML = `<div class="replay-empty">Load a recording (the load button) to replay it against the current scripts.</div>`;
+            }
+            return;
+        }
+
+        const changed = report.steps.filter(step => !step.passed).length;
+        this.dom.summary.textContent = report.passed
+            ? `All ${report.steps.length} steps match the recording.`
+            : `${changed} of ${report.steps.length} steps differ${report.stoppedAt ? "; the replay stopped early" : ""}.`;
+        this.dom.summary.classList.toggle("replay-failed", !report.passed);
+
+        const shown = this.dom.changedOnly.checked ? report.steps.filter(step => !step.passed) : report.steps;
+        const stopped = report.stoppedAt
+            ? `<div class="replay-step replay-stopped">Stopped at step ${report.stoppedAt.index}: ${escapeHtml(report.stoppedAt.reason)}</div>`
+            : "";
+        this.dom.steps.innerHTML = shown.map(step => this.renderStep(step)).join("") + stopped;
+    }
+
+    renderStep(step) {
+        const differences = step.differences.map(difference => `
+            <div class="replay-difference">
+                <div>${escapeHtml(difference.message)}</div>
+                ${difference.diff.length ? `<pre class="replay-diff">${difference.diff.map(line => {
+                    const cls = line.startsWith("+") ? "diff-add" : line.startsWith("-") ? "diff-del" : "diff-same";
+                    return `<span class="${cls}">${escapeHtml(line)}</span>`;
+                }).join("\n")}</pre>` : ""}
+            </div>
+        `).join("");
+
+        return `
+            <div class="replay-step${step.passed ? "" : " replay-changed"}">
+                <div class="replay-step-head">
+                    <span class="replay-status">${step.passed ? "same" : "changed"}</span>
+                    Turn ${step.turn}, step ${step.index}: ${escapeHtml(step.label)}
+                </div>
+                ${differences}
+            </div>
+        `;
+    }
+}
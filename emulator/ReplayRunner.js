@@ -0,0 +1,32 @@
+// emulator/ReplayRunner.js
+// --------------------------------------------------
+// Replays recorded sessions (see Recording.js) against the scripts on
+// disk and reports every step where a hook now behaves differently.
+// Exits with code 1 when any replay differs from its recording.
+//
+// Usage:
+//   node emulator/ReplayRunner.js <recording.json>... [--scripts <dir>] [--timeout <ms>]
+//
+// Record one with NodeRunner.js --record <file>, or the record button
+// in the browser.
+// --------------------------------------------------
+
+import { readFile } from "node:fs/promises";
+import { resolve } from "node:path";
+
+import { runReportFiles, runIfMain } from "./NodeRunner.js";
+import { replayRecording, formatReplayReport } from "./Recording.js";
+
+function main() {
+    return runReportFiles(process.argv.slice(2), {
+        usage: "node emulator/ReplayRunner.js <recording.json>... [--scripts <dir>] [--timeout <ms>]",
+        totals: ["matched", "differed"],
+        async run(engine, file, report) {
+            const recording = JSON.parse(await readFile(resolve(file), "utf8"));
+            const result = await replayRecording(engine, recording);
+            report(result.passed, [`${result.passed ? "PASS" : "FAIL"} ${file}`, ...formatReplayReport(result)]);
+        },
+    });
+}
+
+runIfMain(import.meta.url, main);
@@ -0,0 +1,154 @@
+// Sandbox.js
+// --------------------------------------------------
+// Host side of the script sandbox. Scripts run in a worker
+// (SandboxWorker.js) with a time budget per call: a script that
+// runs too long, e.g. a while(true), gets its worker terminated and
+// a fresh one takes its place on the next call.
+//
+// Every run sends a snapshot of the parameters in and gets the
+// changed snapshot back; the caller only applies it when the hook
+// succeeded, so a timeout or a throw leaves history and state as
+// they were.
+// --------------------------------------------------
+
+export const DEFAULT_TIMEOUT_MS = 1000;
+
+export class ScriptTimeoutError extends Error {
+    constructor(hook, timeoutMs) {
+        super(`Script timed out in ${hook} after ${timeoutMs} ms`);
+        this.name = "ScriptTimeoutError";
+        this.hook = hook;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+// Error as serialized by the worker -> Error on this side
+export function toError(serialized) {
+    const err = new Error(serialized.message);
+    err.name = serialized.name || "Error";
+    err.stack = serialized.stack || `${err.name}: ${err.message}`;
+    // Stack frames in the script files, see mapStackFrames in ScriptRuntime.js
+    err.frames = serialized.frames || [];
+    return err;
+}
+
+/* -------------------------
+     Worker factories
+     A worker handle is { postMessage, onMessage, onError, terminate }.
+     The browser uses a module Web Worker; Node passes its own
+     worker_threads factory (see NodeRunner.js).
+     ------------------------- */
+export function createBrowserWorker() {
+    const worker = new Worker(new URL("./SandboxWorker.js", import.meta.url), { type: "module" });
+    return {
+        postMessage: (message) => worker.postMessage(message),
+        onMessage: (handler) => worker.addEventListener("message", (event) => handler(event.data)),
+        onError: (handler) => worker.addEventListener("error", (event) => {
+            event.preventDefault();
+            handler(new Error(event.message || "Sandbox worker failed to start"));
+        }),
+        terminate: () => worker.terminate(),
+    };
+}
+
+/* -------------------------
+     createSandbox({ createWorker, timeoutMs })
+     - load(sources):             start a worker and compile the scripts in it;
+                                  resolves to the syntax errors of modifier files
+                                  that did not compile (their hooks throw them)
+     - run(hook, text, snapshot): call a hook; resolves to the worker's reply
+                                  { result, snapshot, logs } or { error, logs }
+     - evaluate(code, snapshot):  run console code in the scripts' scope,
+                                  same reply with result as display text
+     - dispose():                 stop the worker
+     ------------------------- */
+export function createSandbox({ createWorker = createBrowserWorker, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    let worker = null;
+    let sources = null;
+    let nextId = 1;
+    const pending = new Map();
+
+    function failAll(err) {
+        for (const { reject, timer } of pending.values()) {
+            clearTimeout(timer);
+            reject(err);
+        }
+        pending.clear();
+    }
+
+    // Terminates the worker; calls still waiting on it fail with reason
+    // and their timers are cleared, so none of them fires on a later worker
+    function stop(reason = new Error("Sandbox worker was stopped")) {
+        if (worker) worker.terminate();
+        worker = null;
+        failAll(reason);
+    }
+
+    function start() {
+        const handle = createWorker();
+        handle.onMessage((reply) => {
+            const entry = pending.get(reply.id);
+            if (!entry) return;
+            clearTimeout(entry.timer);
+            pending.delete(reply.id);
+            entry.resolve(reply);
+        });
+        handle.onError((err) => {
+            if (worker === handle) worker = null;
+            handle.terminate();
+            failAll(err);
+        });
+        worker = handle;
+    }
+
+    function request(message, label) {
+        const id = nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                pending.delete(id);
+                // The worker is stuck; nothing short of terminating it stops the script
+                stop(new ScriptTimeoutError(label, timeoutMs));
+                reject(new ScriptTimeoutError(label, timeoutMs));
+            }, timeoutMs);
+            pending.set(id, { resolve, reject, timer });
+            worker.postMessage({ ...message, id });
+        });
+    }
+
+    async function compile() {
+        start();
+        const reply = await request({ type: "load", sources }, "Library.js");
+        if (reply.error) {
+            stop();
+            throw toError(reply.error);
+        }
+        return (reply.errors || []).map(toError);
+    }
+
+    return {
+        timeoutMs,
+
+        async load(newSources) {
+            sources = newSources;
+            stop(new Error("The scripts were reloaded"));
+            return compile();
+        },
+
+        async run(hook, text, snapshot) {
+            if (!sources) throw new Error("Scripts are not loaded");
+            // After a timeout the scripts are compiled again in a fresh worker
+            if (!worker) await compile();
+            return request({ type: "run", hook, text, snapshot }, hook);
+        },
+
+        async evaluate(code, snapshot) {
+            if (!sources) throw new Error("Scripts are not loaded");
+            if (!worker) await compile();
+            return request({ type: "eval", code, snapshot }, "the sandbox console");
+        },
+
+        dispose() {
+            stop(new Error("Sandbox disposed"));
+        },
+    };
+}
@@ -0,0 +1,142 @@
+// SandboxPanel.js
+// --------------------------------------------------
+// The Sandbox tab: a console that evaluates code in the same scope the
+// modifiers see (state, history, storyCards, info, the story card
+// functions and everything Library.js defines), through engine.evaluate.
+// Results are pretty-printed in the sandbox (see previewValue); changes
+// to state and cards stick, like a hook's. Enter runs the code,
+// Shift+Enter adds a line, and Up/Down walk through earlier commands,
+// which are kept across page loads.
+// --------------------------------------------------
+
+import { escapeHtml } from "./Html.js";
+
+// localStorage key and size of the command history
+const HISTORY_KEY = "aid-emulator:sandbox-history";
+const HISTORY_LIMIT = 100;
+
+function loadCommandHistory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HISTORY_KEY) || "[]");
+        return Array.isArray(saved) ? saved.map(String) : [];
+    } catch (err) {
+        return [];
+    }
+}
+
+export class SandboxPanel {
+    /* -------------------------
+         new SandboxPanel(root, { engine, onChange })
+         root:     element the panel renders into
+         engine:   runs the code (engine.evaluate)
+         onChange: called after code ran, since it may have changed state
+         ------------------------- */
+    constructor(root, { engine, onChange = () => {} } = {}) {
+        this.root = root;
+        this.engine = engine;
+        this.onChange = onChange;
+
+        this.commands = loadCommandHistory();
+        // position while walking the history with Up/Down; commands.length = new input
+        this.historyIndex = this.commands.length;
+        this.draft = "";
+        this.running = false;
+
+        this.build();
+    }
+
+    build() {
+        this.root.innerHTML = `
+            <div class="sandbox-output">
+                <div class="sandbox-hint">Code runs in the modifiers' scope: state, history, storyCards, info,
+addStoryCard/updateStoryCard/removeStoryCard and everything Library.js defines.
+Enter runs, Shift+Enter adds a line, Up/Down walk the command history.</div>
+            </div>
+            <div class="sandbox-inputbar">
+                <textarea class="sandbox-input" rows="2" spellcheck="false" placeholder="state.memory"></textarea>
+                <button data-action="run">run</button>
+                <button data-action="clear">clear</button>
+            </div>
+        `;
+
+        this.dom = {
+            output: this.root.querySelector(".sandbox-output"),
+            input: this.root.querySelector(".sandbox-input"),
+        };
+
+        this.dom.input.addEventListener("keydown", (event) => this.handleKey(event));
+        this.root.querySelector('[data-action="run"]').addEventListener("click", () => this.run());
+        this.root.querySelector('[data-action="clear"]').addEventListener("click", () => {
+            this.dom.output.innerHTML = "";
+        });
+    }
+
+    handleKey(event) {
+        const input = this.dom.input;
+        if (event.key === "Enter" && !event.shiftKey) {
+            event.preventDefault();
+            this.run();
+            return;
+        }
+
+        // Up on the first line and Down on the last one walk the history
+        const beforeCursor = input.value.slice(0, input.selectionStart);
+        const afterCursor = input.value.slice(input.selectionEnd);
+        if (event.key === "ArrowUp" && !beforeCursor.includes("\n")) {
+            event.preventDefault();
+            this.showCommand(this.historyIndex - 1);
+        } else if (event.key === "ArrowDown" && !afterCursor.includes("\n")) {
+            event.preventDefault();
+            this.showCommand(this.historyIndex + 1);
+        }
+    }
+
+    showCommand(index) {
+        if (index < 0 || index > this.commands.length) return;
+        if (this.historyIndex === this.commands.length) this.draft = this.dom.input.value;
+
+        this.historyIndex = index;
+        this.dom.input.value = index === this.commands.length ? this.draft : this.commands[index];
+        this.dom.input.selectionStart = this.dom.input.selectionEnd = this.dom.input.value.length;
+    }
+
+    remember(code) {
+        if (this.commands[this.commands.length - 1] !== code) this.commands.push(code);
+        if (this.commands.length > HISTORY_LIMIT) this.commands.splice(0, this.commands.length - HISTORY_LIMIT);
+        this.historyIndex = this.commands.length;
+        this.draft = "";
+        try {
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(this.commands));
+        } catch (err) {
+            // the history still works for this page load
+        }
+    }
+
+    async run() {
+        const code = this.dom.input.value;
+        if (!code.trim() || this.running) return;
+
+        this.running = true;
+        this.remember(code);
+        this.dom.input.value = "";
+        this.append(`<pre class="sandbox-code">&gt; ${escapeHtml(code)}</pre>`);
+
+        try {
+            const outcome = await this.engine.evaluate(code);
+            for (const entry of outcome.logs) {
+                this.append(`<pre class="sandbox-log">${escapeHtml(entry.level)}: ${escapeHtml(JSON.stringify(entry.message))}</pre>`);
+            }
+            this.append(outcome.ok
+                ? `<pre class="sandbox-result">${escapeHtml(outcome.value)}</pre>`
+                : `<pre class="sandbox-error">${escapeHtml(outcome.error)}</pre>`);
+            this.onChange();
+        } finally {
+            this.running = false;
+        }
+    }
+
+    append(html) {
+        this.dom.output.insertAdjacentHTML("beforeend", html);
+        this.dom.output.scrollTop = this.dom.output.scrollHeight;
+    }
+}
@@ -0,0 +1,133 @@
+// SandboxWorker.js
+// --------------------------------------------------
+// Worker entry for the script sandbox. Scripts run here, in their own
+// realm, against this worker's own copy of Parameters.js; the page (or
+// the Node process) never shares objects with them.
+//
+// Runs as a module Web Worker in the browser and as a worker_threads
+// Worker in Node (see Sandbox.js). Messages, each with an id echoed back:
+//   { type: "load", sources }              -> { ok: true, errors }
+//     (errors: a modifier file that does not compile, see checkSyntax)
+//   { type: "run", hook, text, snapshot }  -> { result, snapshot, logs }
+//   { type: "eval", code, snapshot }       -> { result, snapshot, logs }
+//     (result is the completion value rendered by previewValue)
+// Failures reply { error: { name, message, stack, frames }, logs }, with
+// frames pointing into the script files (see mapStackFrames).
+// Each log entry is { level, message }: level is "log" for log() and the
+// console method's name for console.log/info/warn/error/debug.
+// --------------------------------------------------
+
+import {
+    state,
+    storyCards,
+    worldInfo,
+    history,
+    info,
+    addStoryCard,
+    removeStoryCard,
+    updateStoryCard,
+    snapshotParameters,
+    restoreParameters
+} from "./Parameters.js";
+
+import { compileScripts, mapStackFrames, previewValue } from "./ScriptRuntime.js";
+
+let hooks = null;
+let sources = {};
+let logs = [];
+
+// Logged values cross back to the host; keep anything that cannot be cloned as text
+function cloneable(value) {
+    try {
+        return structuredClone(value);
+    } catch (err) {
+        return String(value);
+    }
+}
+
+// console.log("a", 1) reads as one line; a single argument keeps its shape
+function logEntry(level, args) {
+    const message = args.length === 1
+        ? cloneable(args[0])
+        : args.map(arg => typeof arg === "string" ? arg : JSON.stringify(cloneable(arg))).join(" ");
+    return { level, message };
+}
+
+const scriptConsole = Object.fromEntries(
+    ["log", "info", "warn", "error", "debug"].map(level => [level, (...args) => {
+        logs.push(logEntry(level, args));
+    }])
+);
+
+const globals = {
+    state,
+    history,
+    info,
+    storyCards,
+    worldInfo,
+    addStoryCard,
+    removeStoryCard,
+    updateStoryCard,
+    log: (message) => {
+        logs.push(logEntry("log", [message]));
+    },
+    console: scriptConsole,
+};
+
+function serializeError(err) {
+    if (err instanceof Error) {
+        return {
+            name: err.name,
+            message: err.message,
+            stack: err.stack,
+            // a syntax error comes with its position already (see checkSyntax)
+            frames: err.frames || mapStackFrames(err.stack, sources),
+        };
+    }
+    return { name: "Error", message: String(err), stack: "", frames: [] };
+}
+
+function handle(message) {
+    switch (message.type) {
+        case "load":
+            hooks = null;
+            sources = message.sources;
+            hooks = compileScripts(message.sources, globals);
+            return { ok: true, errors: hooks.errors.map(serializeError) };
+
+        case "run": {
+            if (!hooks) throw new Error("Scripts are not loaded");
+            restoreParameters(message.snapshot, { config: true });
+            const result = hooks[message.hook](message.text);
+            return { result: cloneable(result), snapshot: snapshotParameters() };
+        }
+
+        case "eval": {
+            if (!hooks) throw new Error("Scripts are not loaded");
+            restoreParameters(message.snapshot, { config: true });
+            const result = hooks.evaluate(message.code);
+            return { result: previewValue(result), snapshot: snapshotParameters() };
+        }
+
+        default:
+            throw new Error(`Unknown sandbox message ${message.type}`);
+    }
+}
+
+function reply(message) {
+    logs = [];
+    try {
+        return { id: message.id, ...handle(message), logs };
+    } catch (err) {
+        return { id: message.id, error: serializeError(err), logs };
+    }
+}
+
+const isNode = typeof process !== "undefined" && Boolean(process.versions?.node);
+
+if (isNode) {
+    const { parentPort } = await import("node:worker_threads");
+    parentPort.on("message", (message) => parentPort.postMessage(reply(message)));
+} else {
+    self.onmessage = (event) => self.postMessage(reply(event.data));
+}
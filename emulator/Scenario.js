@@ -0,0 +1,221 @@
+// scenario.js
+// --------------------------------------------------
+// Declarative scenarios for regression checks against the turn engine.
+//
+// A scenario (JSON, or the default export of a JS module):
+//   {
+//     "name": "inventory command",
+//     "setup": {
+//       "memory": { "context": "...", "authorsNote": "..." },
+//       "state": { "gold": 5 },
+//       "storyCards": [{ "keys": "sword", "entry": "...", "type": "item", "title": "Sword" }],
+//       "characterNames": ["Alice", "Bob"]          // multiplayer characters, optional
+//     },
+//     "steps": [
+//       { "mode": "do", "text": "look around", "ai": "You see a sword.",
+//         "expect": { "contextContains": "look around", "state": { "gold": 5 } } }
+//     ]
+//   }
+//
+// Each step plays the user action, then the "ai" text if the turn is
+// waiting for it, then checks the expectations. "character": "Alice"
+// on a step makes that character act from then on (null for "You").
+// A step can run a command instead of an action:
+// { "command": "undo" | "redo" | "retry" | "erase" }, where retry
+// replays the last AI turn with its "ai" text (or the old one).
+// Expectations:
+//   contextContains / contextNotContains   string or list of strings
+//   state                                  { "path.to.value": expected } (deep equal)
+//   storyCard / noStoryCard                key, or list of keys
+//   stopped                                true, false or the hook name that stopped
+//   message                                expected state.message (null for none)
+//   textContains                           last history entry contains the string(s)
+//   historyLength                          number of history entries
+// --------------------------------------------------
+
+import { state, storyCards, history, addStoryCard } from "./Parameters.js";
+import { splitKeys } from "./StoryCardTriggers.js";
+import {
+    deepEqual,
+    diffLines,
+    formatLineDiff,
+    stringifyValue,
+} from "./Diff.js";
+
+/* -------------------------
+     runScenario(engine, scenario)
+     Resets the engine, reloads the scripts so Library.js starts fresh,
+     applies the setup and plays every step.
+     Returns { name, passed, steps: [{ index, label, passed, failures }] }
+     where each failure is { expectation, message, diff }.
+     ------------------------- */
+export async function runScenario(engine, scenario) {
+    engine.reset();
+    await engine.reloadScripts();
+    applySetup(scenario.setup || {});
+    engine.setCharacterNames(scenario.setup?.characterNames || []);
+    engine.setActingCharacter(null);
+
+    const report = { name: scenario.name || "(unnamed scenario)", passed: true, steps: [] };
+
+    for (const [i, step] of (scenario.steps || []).entries()) {
+        const label = step.command || `${step.mode || "do"} ${JSON.stringify(step.text ?? "")}`;
+        let failures;
+        try {
+            const outcome = await playStep(engine, step);
+            failures = checkExpectations(step.expect || {}, outcome);
+        } catch (err) {
+            failures = [{ expectation: "step", message: err.message, diff: [] }];
+        }
+
+        const passed = failures.length === 0;
+        report.steps.push({ index: i + 1, label, passed, failures });
+        if (!passed) report.passed = false;
+    }
+
+    return report;
+}
+
+function applySetup(setup) {
+    Object.assign(state.memory, setup.memory || {});
+    for (const [key, value] of Object.entries(setup.state || {})) {
+        state[key] = structuredClone(value);
+    }
+    for (const card of setup.storyCards || []) {
+        addStoryCard(card.keys ?? "", card.entry ?? "", card.type, card.title, card.description);
+    }
+}
+
+// One user action plus the optional AI text; collects what expectations look at
+async function playStep(engine, step) {
+    if (step.command) return playCommand(engine, step);
+
+    if (engine.currentSide !== "user") {
+        throw new Error("The previous step left the AI turn waiting; give it an \"ai\" text");
+    }
+    if (step.character !== undefined) engine.setActingCharacter(step.character);
+
+    const turn = await engine.handleInput(step.mode || "do", step.text ?? "");
+    if (!turn) throw new Error("The action was ignored (empty input)");
+
+    let halt = turn.halt;
+    let message = turn.message;
+    if (step.ai !== undefined && engine.currentSide === "ai") {
+        const aiTurn = await engine.handleInput("continue", step.ai);
+        halt = halt || aiTurn.halt;
+        message = aiTurn.message || message;
+    }
+
+    return { context: turn.context ?? engine.lastContext ?? "", halt, message };
+}
+
+async function playCommand(engine, step) {
+    let turn = null;
+    if (step.command === "retry") turn = await engine.retry(step.ai);
+    else if (["undo", "redo", "erase"].includes(step.command)) engine[step.command]();
+    else throw new Error(`Unknown command "${step.command}" (expected undo, redo, retry or erase)`);
+
+    return {
+        context: turn?.context ?? engine.lastContext ?? "",
+        halt: turn ? turn.halt : engine.halt,
+        message: turn ? turn.message : engine.playerMessage,
+    };
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+// state.a.b -> value at "a.b"
+function readPath(object, path) {
+    return String(path).split(".").reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function failure(expectation, message, expected, actual) {
+    const diff = expected === undefined && actual === undefined
+        ? []
+        : formatLineDiff(diffLines(stringifyValue(expected), stringifyValue(actual)));
+    return { expectation, message, diff };
+}
+
+function checkExpectations(expect, { context, halt, message }) {
+    const failures = [];
+
+    for (const needle of toList(expect.contextContains ?? [])) {
+        if (!context.includes(needle)) {
+            failures.push(failure("contextContains", `context does not contain ${JSON.stringify(needle)}`, needle, context));
+        }
+    }
+
+    for (const needle of toList(expect.contextNotContains ?? [])) {
+        if (context.includes(needle)) {
+            failures.push(failure("contextNotContains", `context contains ${JSON.stringify(needle)}`));
+        }
+    }
+
+    for (const [path, expected] of Object.entries(expect.state || {})) {
+        const actual = readPath(state, path);
+        if (!deepEqual(actual, expected)) {
+            failures.push(failure("state", `state.${path} is ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`, expected, actual));
+        }
+    }
+
+    const cardHasKey = (key) => storyCards.some(card =>
+        splitKeys(card.keys).some(k => k.toLowerCase() === String(key).toLowerCase()));
+
+    for (const key of toList(expect.storyCard ?? [])) {
+        if (!cardHasKey(key)) {
+            failures.push(failure("storyCard", `no story card with key ${JSON.stringify(key)}`, key, storyCards.map(c => c.keys)));
+        }
+    }
+
+    for (const key of toList(expect.noStoryCard ?? [])) {
+        if (cardHasKey(key)) {
+            failures.push(failure("noStoryCard", `a story card with key ${JSON.stringify(key)} exists`));
+        }
+    }
+
+    if (expect.stopped !== undefined) {
+        const stoppedBy = halt ? halt.hook : null;
+        const ok = typeof expect.stopped === "string"
+            ? stoppedBy === expect.stopped
+            : Boolean(stoppedBy) === expect.stopped;
+        if (!ok) {
+            failures.push(failure("stopped", `action was ${stoppedBy ? `stopped by ${stoppedBy}` : "not stopped"}`, expect.stopped, stoppedBy));
+        }
+    }
+
+    if (expect.message !== undefined) {
+        const actual = message ? message.text : null;
+        if (actual !== expect.message) {
+            failures.push(failure("message", `state.message is ${JSON.stringify(actual)}, expected ${JSON.stringify(expect.message)}`, expect.message, actual));
+        }
+    }
+
+    const lastText = history.length ? `${history[history.length - 1].text}` : "";
+    for (const needle of toList(expect.textContains ?? [])) {
+        if (!lastText.includes(needle)) {
+            failures.push(failure("textContains", `last text does not contain ${JSON.stringify(needle)}`, needle, lastText));
+        }
+    }
+
+    if (expect.historyLength !== undefined && history.length !== expect.historyLength) {
+        failures.push(failure("historyLength", `history has ${history.length} entries, expected ${expect.historyLength}`));
+    }
+
+    return failures;
+}
+
+// Lines for a terminal: PASS/FAIL per step, with diffs under each failure
+export function formatReport(report) {
+    const lines = [`${report.passed ? "PASS" : "FAIL"} ${report.name}`];
+    for (const step of report.steps) {
+        lines.push(`  ${step.passed ? "ok  " : "FAIL"} step ${step.index}: ${step.label}`);
+        for (const f of step.failures) {
+            lines.push(`         ${f.expectation}: ${f.message}`);
+            if (f.diff.length) lines.push("           (- expected, + actual)");
+            for (const line of f.diff) lines.push(`           ${line}`);
+        }
+    }
+    return lines;
+}
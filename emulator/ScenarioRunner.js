@@ -0,0 +1,45 @@
+// emulator/ScenarioRunner.js
+// --------------------------------------------------
+// Runs scenario files (see Scenario.js) against the scripts on disk
+// and reports pass/fail per step. Exits with code 1 when anything fails.
+//
+// Usage:
+//   node emulator/ScenarioRunner.js <scenario.json|scenario.js>... [--scripts <dir>] [--timeout <ms>]
+//
+// A .js scenario file default-exports a scenario or a list of them.
+// --------------------------------------------------
+
+import { readFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { runReportFiles, runIfMain } from "./NodeRunner.js";
+import { runScenario, formatReport } from "./Scenario.js";
+
+export async function loadScenarios(file) {
+    const path = resolve(file);
+    const loaded = path.endsWith(".json")
+        ? JSON.parse(await readFile(path, "utf8"))
+        : (await import(pathToFileURL(path).href)).default;
+
+    const list = Array.isArray(loaded) ? loaded : [loaded];
+    return list.map((scenario, i) => ({
+        ...scenario,
+        name: scenario.name || (list.length > 1 ? `${file} #${i + 1}` : file),
+    }));
+}
+
+function main() {
+    return runReportFiles(process.argv.slice(2), {
+        usage: "node emulator/ScenarioRunner.js <scenario.json|scenario.js>... [--scripts <dir>] [--timeout <ms>]",
+        totals: ["passed", "failed"],
+        async run(engine, file, report) {
+            for (const scenario of await loadScenarios(file)) {
+                const result = await runScenario(engine, scenario);
+                report(result.passed, formatReport(result));
+            }
+        },
+    });
+}
+
+runIfMain(import.meta.url, main);
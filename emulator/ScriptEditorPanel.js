@@ -0,0 +1,402 @@
+// ScriptEditorPanel.js
+// --------------------------------------------------
+// The Scripts tab: an editor for the files of a script project
+// (Library.js, the three modifier scripts and the starting scenario,
+// see ScriptStore.js), one tab each, with syntax highlighting (a
+// transparent textarea over a highlighted copy of its text). Saving
+// writes the project and reloads its scripts into the sandbox; history,
+// state and story cards are kept, only Library.js top-level code runs
+// again. Projects can be switched, duplicated and diffed against each
+// other or the Script/ folder.
+// --------------------------------------------------
+
+import {
+    PROJECT_FILES,
+    listProjects,
+    saveProject,
+    deleteProject,
+    getActiveProject,
+    setActiveProject,
+    readProjectFiles,
+    diffProjects,
+} from "./ScriptStore.js";
+import { escapeHtml } from "./Html.js";
+
+const TAB_LABELS = {
+    "Library.js": "Library",
+    "Input.js": "Input",
+    "Context.js": "Context",
+    "Output.js": "Output",
+    "Scenario.json": "Scenario",
+};
+
+// Unchanged lines shown around each change in a diff
+const DIFF_CONTEXT = 3;
+
+// Indent inserted by the Tab key, as in the Script/ templates
+const INDENT = "  ";
+
+const KEYWORDS = [
+    "async", "await", "break", "case", "catch", "class", "const", "continue",
+    "default", "delete", "do", "else", "extends", "false", "finally", "for",
+    "function", "if", "in", "instanceof", "let", "new", "null", "of", "return",
+    "switch", "this", "throw", "true", "try", "typeof", "undefined", "var",
+    "void", "while",
+];
+
+// Names the game provides to scripts
+const SCRIPT_API = [
+    "state", "history", "storyCards", "info", "text", "stop", "log", "console",
+    "addStoryCard", "updateStoryCard", "removeStoryCard", "modifier",
+];
+
+// One alternative per token class, in priority order: comment, string, number, keyword, API name
+const TOKEN = new RegExp([
+    /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))/.source,
+    /("(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?|`(?:[^`\\]|\\[\s\S])*`?)/.source,
+    /\b(0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/.source,
+    `\\b(${KEYWORDS.join("|")})\\b`,
+    `\\b(${SCRIPT_API.join("|")})\\b`,
+].join("|"), "g");
+
+const TOKEN_CLASSES = ["code-comment", "code-string", "code-number", "code-keyword", "code-api"];
+
+/* -------------------------
+     highlight(source)
+     HTML for source with comments, strings, numbers, keywords and the
+     scripting API wrapped in spans; the text itself is unchanged so
+     it lines up with the textarea over it
+     ------------------------- */
+export function highlight(source) {
+    let html = "";
+    let last = 0;
+    for (const match of source.matchAll(TOKEN)) {
+        const group = match.slice(1).findIndex(part => part !== undefined);
+        html += escapeHtml(source.slice(last, match.index));
+        html += `<span class="${TOKEN_CLASSES[group]}">${escapeHtml(match[0])}</span>`;
+        last = match.index + match[0].length;
+    }
+    // A trailing newline needs a character after it to get its own line
+    return html + escapeHtml(source.slice(last)) + "\n";
+}
+
+// Diff entries with long unchanged runs cut down to DIFF_CONTEXT lines
+// around each change; a { op: "gap", count } entry marks each cut
+function trimContext(entries) {
+    const keep = entries.map(() => false);
+    entries.forEach((entry, i) => {
+        if (entry.op === " ") return;
+        for (let j = Math.max(0, i - DIFF_CONTEXT); j <= Math.min(entries.length - 1, i + DIFF_CONTEXT); j++) keep[j] = true;
+    });
+
+    const out = [];
+    entries.forEach((entry, i) => {
+        if (keep[i]) out.push(entry);
+        else if (out[out.length - 1]?.op === "gap") out[out.length - 1].count++;
+        else out.push({ op: "gap", count: 1 });
+    });
+    return out;
+}
+
+function projectLabel(name) {
+    return name === null ? "Script/ folder" : name;
+}
+
+export class ScriptEditorPanel {
+    /* -------------------------
+         new ScriptEditorPanel(root, { engine })
+         root:   element the panel renders into
+         engine: reloads the scripts after a save or switch (engine.reloadScripts)
+         ------------------------- */
+    constructor(root, { engine } = {}) {
+        this.root = root;
+        this.engine = engine;
+
+        // project being edited (the active one); null for the Script/ folder
+        this.project = getActiveProject();
+        this.current = PROJECT_FILES[0];
+        // text being edited and text last saved or loaded, per file
+        this.buffers = {};
+        this.saved = {};
+        this.busy = false;
+
+        this.build();
+        this.open();
+    }
+
+    build() {
+        const tabs = PROJECT_FILES.map(file =>
+            `<button data-file="${file}">${TAB_LABELS[file]}</button>`).join("");
+
+        this.root.innerHTML = `
+            <div class="editor-toolbar">
+                <label>project <select data-control="project"></select></label>
+                <button data-action="duplicate">duplicate</button>
+                <button data-action="delete">delete</button>
+                <label>diff with <select data-control="diff"></select></label>
+                <button data-action="diff">diff</button>
+            </div>
+            <div class="editor-toolbar">
+                <span class="editor-tabs">${tabs}</span>
+                <button data-action="save" title="Ctrl+S">save &amp; reload</button>
+                <span class="editor-status"></span>
+            </div>
+            <div class="editor-code">
+                <pre class="editor-highlight" aria-hidden="true"></pre>
+                <textarea class="editor-input" spellcheck="false" autocomplete="off" wrap="off"></textarea>
+            </div>
+            <div class="editor-diff" hidden></div>
+        `;
+
+        this.dom = {
+            project: this.root.querySelector('[data-control="project"]'),
+            diffWith: this.root.querySelector('[data-control="diff"]'),
+            deleteBtn: this.root.querySelector('[data-action="delete"]'),
+            tabs: Array.from(this.root.querySelectorAll("[data-file]")),
+            status: this.root.querySelector(".editor-status"),
+            code: this.root.querySelector(".editor-code"),
+            highlight: this.root.querySelector(".editor-highlight"),
+            input: this.root.querySelector(".editor-input"),
+            diff: this.root.querySelector(".editor-diff"),
+        };
+
+        for (const tab of this.dom.tabs) {
+            tab.addEventListener("click", () => this.show(tab.dataset.file));
+        }
+        this.root.addEventListener("click", (event) => {
+            const button = event.target.closest("button[data-action]");
+            if (button) this.handleAction(button.dataset.action);
+        });
+        this.dom.project.addEventListener("change", () => this.switchTo(this.dom.project.value || null));
+
+        this.dom.input.addEventListener("input", () => {
+            this.buffers[this.current] = this.dom.input.value;
+            this.renderCode();
+            this.renderTabs();
+        });
+        this.dom.input.addEventListener("scroll", () => {
+            this.dom.highlight.scrollTop = this.dom.input.scrollTop;
+            this.dom.highlight.scrollLeft = this.dom.input.scrollLeft;
+        });
+        this.dom.input.addEventListener("keydown", (event) => this.handleKey(event));
+    }
+
+    handleAction(action) {
+        if (action === "save") this.save();
+        else if (action === "duplicate") this.duplicate();
+        else if (action === "delete") this.remove();
+        else if (action === "diff") this.toggleDiff();
+        else if (action === "close-diff") this.closeDiff();
+    }
+
+    handleKey(event) {
+        if ((event.ctrlKey || event.metaKey) && event.key === "s") {
+            event.preventDefault();
+            this.save();
+        } else if (event.key === "Tab" && !event.shiftKey) {
+            event.preventDefault();
+            // execCommand keeps the browser's undo stack; setRangeText is the fallback
+            if (!document.execCommand("insertText", false, INDENT)) {
+                this.dom.input.setRangeText(INDENT, this.dom.input.selectionStart, this.dom.input.selectionEnd, "end");
+                this.dom.input.dispatchEvent(new Event("input"));
+            }
+        }
+    }
+
+    isModified() {
+        return PROJECT_FILES.some(file => this.buffers[file] !== this.saved[file]);
+    }
+
+    // Runs one project operation at a time; errors end up in the status line
+    async exclusive(task) {
+        if (this.busy) return;
+        this.busy = true;
+        try {
+            await task();
+        } catch (err) {
+            this.setStatus(err.message, true);
+        } finally {
+            this.busy = false;
+            this.renderProjects();
+        }
+    }
+
+    /* -------------------------
+         Projects
+         ------------------------- */
+
+    // Loads the edited project's files into the editor
+    async open() {
+        this.setStatus("Loading scripts...");
+        try {
+            const files = await readProjectFiles(this.project);
+            this.buffers = { ...files };
+            this.saved = { ...files };
+            this.closeDiff();
+            this.show(this.current);
+            this.setStatus(this.project === null
+                ? "Editing a copy of the Script/ folder; saving creates a project."
+                : `Editing the project "${this.project}".`);
+        } catch (err) {
+            this.setStatus(`Could not load the scripts: ${err.message}`, true);
+        }
+        this.renderProjects();
+    }
+
+    // Makes a project active and reloads the scripts from it
+    async activate(name, message) {
+        setActiveProject(name);
+        this.project = name;
+        const reloaded = await this.engine.reloadScripts();
+        this.renderProjects();
+        this.setStatus(reloaded ? message : `${message} The scripts failed to load; see the console.`, !reloaded);
+    }
+
+    switchTo(name) {
+        return this.exclusive(async () => {
+            if (this.isModified() && !window.confirm("Switch projects and lose the unsaved edits?")) return;
+            this.project = name;
+            await this.open();
+            await this.activate(name, `Switched to ${projectLabel(name)}.`);
+        });
+    }
+
+    save() {
+        return this.exclusive(async () => {
+            let name = this.project;
+            if (name === null) {
+                name = window.prompt("Save the scripts as a new project named:", "my scripts");
+                if (name === null) return;
+                if (listProjects().includes(name.trim()) && !window.confirm(`Overwrite the project "${name.trim()}"?`)) return;
+            }
+
+            name = saveProject(name, this.buffers);
+            this.saved = { ...this.buffers };
+            this.renderTabs();
+            await this.activate(name, `Saved "${name}" and reloaded the scripts.`);
+        });
+    }
+
+    // Copies what the editor holds (unsaved edits included) into a new project and switches to it
+    duplicate() {
+        return this.exclusive(async () => {
+            const name = window.prompt("Name for the copy:", `${projectLabel(this.project)} copy`);
+            if (name === null) return;
+            if (listProjects().includes(name.trim())) throw new Error(`A project named "${name.trim()}" already exists.`);
+
+            const copy = saveProject(name, this.buffers);
+            this.saved = { ...this.buffers };
+            this.renderTabs();
+            await this.activate(copy, `Duplicated ${projectLabel(this.project)} as "${copy}".`);
+        });
+    }
+
+    remove() {
+        return this.exclusive(async () => {
+            if (this.project === null) return;
+            if (!window.confirm(`Delete the project "${this.project}"? Its scripts and scenario are lost.`)) return;
+
+            const deleted = this.project;
+            deleteProject(deleted);
+            this.project = null;
+            await this.open();
+            await this.activate(null, `Deleted "${deleted}"; back to the Script/ folder.`);
+        });
+    }
+
+    /* -------------------------
+         Diff: the other project's saved files against the editor's
+         ------------------------- */
+    toggleDiff() {
+        if (!this.dom.diff.hidden) {
+            this.closeDiff();
+            return;
+        }
+        return this.exclusive(async () => {
+            const other = this.dom.diffWith.value || null;
+            const changes = diffProjects(await readProjectFiles(other), this.buffers);
+            this.renderDiff(other, changes);
+        });
+    }
+
+    closeDiff() {
+        this.dom.diff.hidden = true;
+        this.dom.code.hidden = false;
+    }
+
+    /* -------------------------
+         Rendering
+         ------------------------- */
+    show(file) {
+        this.current = file;
+        this.closeDiff();
+        this.dom.input.value = this.buffers[file] ?? "";
+        this.dom.input.scrollTop = 0;
+        this.dom.input.scrollLeft = 0;
+        this.renderCode();
+        this.renderTabs();
+    }
+
+    renderCode() {
+        this.dom.highlight.innerHTML = highlight(this.dom.input.value);
+        this.dom.highlight.scrollTop = this.dom.input.scrollTop;
+        this.dom.highlight.scrollLeft = this.dom.input.scrollLeft;
+    }
+
+    // Active tab, and a * on files with unsaved edits
+    renderTabs() {
+        for (const tab of this.dom.tabs) {
+            const file = tab.dataset.file;
+            const modified = this.buffers[file] !== this.saved[file];
+            tab.classList.toggle("active", file === this.current);
+            tab.textContent = TAB_LABELS[file] + (modified ? " *" : "");
+        }
+    }
+
+    renderProjects() {
+        const names = listProjects();
+        const option = (name) =>
+            `<option value="${escapeHtml(name ?? "")}">${escapeHtml(projectLabel(name))}</option>`;
+
+        this.dom.project.innerHTML = [null, ...names].map(option).join("");
+        this.dom.project.value = this.project ?? "";
+
+        const previous = this.dom.diffWith.value;
+        const others = [null, ...names].filter(name => name !== this.project);
+        this.dom.diffWith.innerHTML = others.map(option).join("");
+        if (others.some(name => (name ?? "") === previous)) this.dom.diffWith.value = previous;
+
+        this.dom.deleteBtn.disabled = this.project === null;
+    }
+
+    renderDiff(other, changes) {
+        const files = changes.map(({ file, entries, changed }) => {
+            if (!changed) return `<div class="diff-file-head diff-same">${escapeHtml(file)}: identical</div>`;
+
+            const lines = trimContext(entries).map(entry => entry.op === "gap"
+                ? `<div class="diff-gap">... ${entry.count} unchanged line${entry.count === 1 ? "" : "s"}</div>`
+                : `<div class="diff-line diff-${entry.op === "+" ? "add" : entry.op === "-" ? "del" : "same"}">${escapeHtml(`${entry.op} ${entry.line}`)}</div>`);
+            return `
+                <div class="diff-file">
+                    <div class="diff-file-head">${escapeHtml(file)}</div>
+                    <div class="diff-lines">${lines.join("")}</div>
+                </div>
+            `;
+        });
+
+        this.dom.diff.innerHTML = `
+            <div class="diff-head">
+                <span>- ${escapeHtml(projectLabel(other))} &nbsp; + ${escapeHtml(projectLabel(this.project))} (editor, unsaved edits included)</span>
+                <button data-action="close-diff">close</button>
+            </div>
+            ${files.join("")}
+        `;
+        this.dom.code.hidden = true;
+        this.dom.diff.hidden = false;
+    }
+
+    setStatus(text, isError = false) {
+        this.dom.status.textContent = text;
+        this.dom.status.classList.toggle("editor-error", isError);
+    }
+}
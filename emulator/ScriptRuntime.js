@@ -0,0 +1,326 @@
+// ScriptRuntime.js
+// --------------------------------------------------
+// Compiles Library.js and the three modifier scripts into hook
+// functions. This module has no DOM or Node dependencies: it runs
+// inside the sandbox realm (see SandboxWorker.js), next to that
+// realm's own copy of Parameters.js.
+// --------------------------------------------------
+
+// Script files, relative to the script directory
+export const SCRIPT_FILES = {
+    library: "Library.js",
+    inputModifier: "Input.js",
+    contextModifier: "Context.js",
+    outputModifier: "Output.js",
+};
+
+export const HOOK_NAMES = ["inputModifier", "contextModifier", "outputModifier"];
+
+// Host capabilities the AI Dungeon scripting environment does not have.
+// Inside the scripts each of these names is undefined.
+export const BLOCKED_GLOBALS = [
+    "window", "document", "self", "globalThis", "global", "parent", "top",
+    "fetch", "XMLHttpRequest", "WebSocket", "EventSource", "navigator", "location",
+    "localStorage", "sessionStorage", "indexedDB", "caches",
+    "importScripts", "postMessage", "close", "Worker", "SharedWorker",
+    "process", "require", "module", "exports", "Buffer",
+];
+
+/* -------------------------
+     lastCodeLine(source)
+     Finds the last line holding code (not blank, not only comments),
+     skipping over strings so "//" inside a URL is not a comment.
+     Returns { line, text } with a 1-based line number.
+     ------------------------- */
+export function lastCodeLine(source) {
+    let line = 1;
+    let last = null;
+    let quote = null;     // inside ', " or `
+    let comment = null;   // "line" or "block"
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        const next = source[i + 1];
+
+        if (ch === "\n") {
+            line++;
+            if (comment === "line") comment = null;
+            continue;
+        }
+        if (comment === "line") continue;
+        if (comment === "block") {
+            if (ch === "*" && next === "/") {
+                comment = null;
+                i++;
+            }
+            continue;
+        }
+        if (quote) {
+            if (ch === "\\") i++;
+            else if (ch === quote) quote = null;
+            last = line;
+            continue;
+        }
+
+        if (ch === "/" && next === "/") comment = "line";
+        else if (ch === "/" && next === "*") comment = "block";
+        else if (ch === "'" || ch === '"' || ch === "`") {
+            quote = ch;
+            last = line;
+        } else if (!/\s/.test(ch)) last = line;
+    }
+
+    if (last === null) return null;
+    return { line: last, text: source.split("\n")[last - 1].trim() };
+}
+
+// Raised when a modifier script finishes without producing a result
+function captureError(hook, source) {
+    const file = SCRIPT_FILES[hook];
+    const last = lastCodeLine(source);
+    const where = last
+        ? `its last statement is line ${last.line}: ${last.text}`
+        : "the file has no code";
+    return new Error(
+        `${file} produced no result: ${where}. ` +
+        "The script must end with an expression that evaluates to the modifier's return value, e.g. modifier(text)"
+    );
+}
+
+// Name a script file has in stack traces, e.g. "Script/Input.js"
+export function scriptUrl(name) {
+    return `Script/${SCRIPT_FILES[name]}`;
+}
+
+// Evaluated code gets a sourceURL so stack frames name the original file,
+// with line and column numbers exactly as in that file
+function withSourceUrl(source, name) {
+    return `${source}\n//# sourceURL=${scriptUrl(name)}`;
+}
+
+/* -------------------------
+     mapStackFrames(stack, sources)
+     Picks the frames of a stack trace that point into the script files
+     (V8 "at fn (Script/Input.js:3:9)" and Firefox "fn@Script/Input.js:3:9")
+     and attaches the source line each one points at. Frames in the code
+     the runtime appends after Library.js are dropped.
+     Returns [{ fn, file, line, column, source }].
+     ------------------------- */
+export function mapStackFrames(stack, sources) {
+    const byUrl = Object.fromEntries(Object.keys(SCRIPT_FILES).map(name => [scriptUrl(name), name]));
+    const frames = [];
+
+    for (const raw of String(stack || "").split("\n")) {
+        const match = raw.match(/^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?\s*$/)
+            || raw.match(/^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/);
+        if (!match) continue;
+
+        const name = byUrl[match[2]];
+        if (!name) continue;
+
+        const line = Number(match[3]);
+        const lines = String(sources[name] ?? "").split("\n");
+        if (line > lines.length) continue;
+
+        const fn = !match[1] || match[1] === "eval" ? "(top level)" : match[1].replace(/^Object\./, "");
+        frames.push({
+            fn,
+            file: match[2],
+            line,
+            column: Number(match[4]),
+            source: lines[line - 1].replace(/\r$/, ""),
+        });
+    }
+
+    return frames;
+}
+
+// Multi-line report of a script error: the message, then each mapped
+// frame with the line it points at and a caret under the column
+export function formatScriptError(err) {
+    const lines = [`${err.name}: ${err.message}`];
+    for (const frame of err.frames || []) {
+        lines.push(`    at ${frame.fn} (${frame.file}:${frame.line}:${frame.column})`);
+        lines.push(`        ${frame.line} | ${frame.source.trim()}`);
+        const indent = frame.source.length - frame.source.trimStart().length;
+        const caret = Math.max(0, frame.column - 1 - indent);
+        lines.push(`        ${" ".repeat(String(frame.line).length)} | ${" ".repeat(caret)}^`);
+    }
+    return lines.join("\n");
+}
+
+// The message new Function gives for body, or null when it compiles
+function syntaxMessage(body) {
+    try {
+        new Function("text", body);
+        return null;
+    } catch (err) {
+        return err instanceof SyntaxError ? err.message : null;
+    }
+}
+
+/* -------------------------
+     locateSyntaxError(source, message)
+     Where in source the syntax error with message is, as { line,
+     column }. Engines do not report positions for code compiled at
+     run time, but the parser stops at the error: every prefix of the
+     source that reaches it fails with the same message, and a shorter
+     one does not. So this walks back from the end while the message
+     holds, by line and then by column. An unclosed block points at
+     the line it opens on.
+     ------------------------- */
+export function locateSyntaxError(source, message) {
+    const lines = source.split("\n");
+    const failsAt = (line, text) => syntaxMessage([...lines.slice(0, line - 1), text].join("\n")) === message;
+
+    let line = lines.length;
+    while (line > 1 && failsAt(line - 1, lines[line - 2])) line--;
+
+    const text = lines[line - 1];
+    let column = text.length;
+    while (column > 1 && failsAt(line, text.slice(0, column - 1))) column--;
+
+    // "Unexpected identifier 'foo'" is found at the end of foo; point at its start
+    const token = message.match(/'([^']+)'$/)?.[1];
+    if (token && text.slice(column - token.length, column) === token) column -= token.length - 1;
+    return { line, column: Math.max(column, 1) };
+}
+
+/* -------------------------
+     checkSyntax(sources)
+     Syntax errors surface at load time with the file and position they
+     are in, instead of on the first turn that happens to run the hook.
+     Returns { [hook]: SyntaxError } for the modifier files that do not
+     compile; a broken Library.js throws, since every hook needs it.
+     Each error carries frames (see mapStackFrames) for its position.
+     ------------------------- */
+export function checkSyntax(sources) {
+    const errors = {};
+    for (const name of ["library", ...HOOK_NAMES]) {
+        const message = syntaxMessage(sources[name]);
+        if (message === null) continue;
+
+        const err = new SyntaxError(message);
+        const at = locateSyntaxError(sources[name], message);
+        err.stack = `SyntaxError: ${message}\n    at ${scriptUrl(name)}:${at.line}:${at.column}`;
+        err.frames = [{
+            fn: "(syntax error)",
+            file: scriptUrl(name),
+            line: at.line,
+            column: at.column,
+            source: sources[name].split("\n")[at.line - 1].replace(/\r$/, ""),
+        }];
+        if (name === "library") throw err;
+        errors[name] = err;
+    }
+    return errors;
+}
+
+/* -------------------------
+     previewValue(value)
+     Readable rendering of any value for the console, functions and
+     cycles included: strings quoted, objects and arrays indented once
+     they no longer fit on one line.
+     ------------------------- */
+export function previewValue(value, indent = "", seen = new Set()) {
+    if (typeof value === "string") return JSON.stringify(value);
+    if (typeof value === "function") return `[Function ${value.name || "anonymous"}]`;
+    if (typeof value === "bigint") return `${value}n`;
+    if (typeof value !== "object" || value === null) return String(value);
+    if (seen.has(value)) return "[Circular]";
+
+    seen.add(value);
+    const inner = indent + "  ";
+    const isArray = Array.isArray(value);
+    const items = isArray
+        ? value.map(item => previewValue(item, inner, seen))
+        : Object.keys(value).map(key => {
+            const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+            return `${name}: ${previewValue(value[key], inner, seen)}`;
+        });
+    seen.delete(value);
+
+    const [open, close] = isArray ? ["[", "]"] : ["{", "}"];
+    const className = value.constructor && ![Object, Array].includes(value.constructor) ? `${value.constructor.name} ` : "";
+    if (!items.length) return `${className}${open}${close}`;
+
+    const oneLine = `${className}${open} ${items.join(", ")} ${close}`;
+    if (oneLine.length <= 72 && !oneLine.includes("\n")) return oneLine;
+    return `${className}${open}\n${items.map(item => inner + item).join(",\n")}\n${indent}${close}`;
+}
+
+/* -------------------------
+     compileScripts(sources, globals)
+     sources: { library, inputModifier, contextModifier, outputModifier }
+     globals: values the scripts see by name (state, history, log, ...)
+     Returns { inputModifier(text), contextModifier(text), outputModifier(text),
+               evaluate(code), errors }.
+     evaluate runs code in the same scope (the Sandbox tab's console) and
+     returns its completion value; its declarations last for that call only.
+     errors holds the syntax error of each modifier file that does not
+     compile (see checkSyntax); that hook throws it whenever it runs,
+     and the other hooks work as usual.
+     ------------------------- */
+export function compileScripts(sources, globals) {
+    const errors = checkSyntax(sources);
+
+    // --- 1. Prepare globals injection code
+    const globalsCode = Object.keys(globals)
+        .map(key => `let ${key} = __aidGlobals["${key}"];`)
+        .join("\n");
+
+    // --- 2. Library.js is evaluated as-is, then code appended after it
+    // creates each modifier as a function inside the library's scope, so
+    // library functions and top-level values are visible to every hook.
+    // A modifier file is evaluated as-is with a direct eval, whose result is
+    // the value of the file's last expression statement: the trailing
+    // `modifier(text)` call, whatever its name, comments, line endings or
+    // wrapping (IIFE, minified output) look like.
+    const modifierSources = Object.fromEntries(HOOK_NAMES
+        .filter(hook => !errors[hook])
+        .map(hook => [hook, withSourceUrl(sources[hook], hook)]));
+    const libraryProgram = withSourceUrl(`${sources.library}
+;({
+    inputModifier: function (text) {
+        return eval(__aidSources.inputModifier);
+    },
+    contextModifier: function (text) {
+        return eval(__aidSources.contextModifier);
+    },
+    outputModifier: function (text) {
+        return eval(__aidSources.outputModifier);
+    },
+    evaluate: function (__aidCode) {
+        return eval(__aidCode);
+    },
+})`, "library");
+
+    // --- 3. Create the sandbox: blocked host globals, then emulator globals,
+    // then Library.js (run once). The blocked names live in an outer scope
+    // so a script may still declare its own `window` or `global`.
+    const sandboxFunc = new Function('__aidGlobals', '__aidSources', '__aidLibrary', `
+    let ${BLOCKED_GLOBALS.join(", ")};
+
+    return (function () {
+    // --- Inject emulator globals as local variables
+    ${globalsCode}
+
+    // --- Execute Library.js once for the whole session
+    return eval(__aidLibrary);
+    })();
+  `);
+
+    const hooks = sandboxFunc(globals, modifierSources, libraryProgram);
+
+    // --- 4. A script that completes with undefined lost its result somewhere
+    return {
+        ...Object.fromEntries(HOOK_NAMES.map(hook => [hook, (text) => {
+            if (errors[hook]) throw errors[hook];
+            const result = hooks[hook](text);
+            if (result === undefined) throw captureError(hook, sources[hook]);
+            return result;
+        }])),
+        evaluate: (code) => hooks.evaluate(String(code)),
+        errors: Object.values(errors),
+    };
+}
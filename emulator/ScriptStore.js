@@ -0,0 +1,154 @@
+// ScriptStore.js
+// --------------------------------------------------
+// Named script projects, kept in localStorage and edited in the Scripts
+// tab. A project holds its own Library.js, Input.js, Context.js and
+// Output.js plus Scenario.json, the starting scenario a new adventure
+// begins from (AI Dungeon's scenario shape, see AidFormat.js; blank for
+// none). One project is active at a time; the loader reads the active
+// project's scripts, and with none active, the Script/ folder.
+// --------------------------------------------------
+
+import { SCRIPT_FILES } from "./ScriptRuntime.js";
+import { fetchSource } from "./Loader.js";
+import { diffLines, hasChanges } from "./Diff.js";
+
+// localStorage key holding every project:
+// { active: name | null, projects: { [name]: { files, savedAt } } }
+const PROJECTS_KEY = "aid-emulator:projects";
+
+export const SCENARIO_FILE = "Scenario.json";
+export const PROJECT_FILES = [...Object.values(SCRIPT_FILES), SCENARIO_FILE];
+
+function readStore(storage) {
+    let store = { active: null, projects: {} };
+    try {
+        const saved = JSON.parse(storage.getItem(PROJECTS_KEY) || "null");
+        if (saved && typeof saved.projects === "object") store = { active: saved.active ?? null, projects: saved.projects };
+    } catch (err) {
+        // an unreadable store starts over empty
+    }
+
+    if (!store.projects[store.active]) store.active = null;
+    return store;
+}
+
+function writeStore(store, storage) {
+    storage.setItem(PROJECTS_KEY, JSON.stringify(store));
+}
+
+function checkName(name) {
+    const trimmed = String(name ?? "").trim();
+    if (!trimmed) throw new Error("A project needs a name");
+    return trimmed;
+}
+
+/* -------------------------
+     listProjects() / getProject(name)
+     Project names in alphabetical order; getProject returns
+     { files: { "Library.js": text, ... }, savedAt } or null
+     ------------------------- */
+export function listProjects(storage = localStorage) {
+    return Object.keys(readStore(storage).projects).sort((a, b) => a.localeCompare(b));
+}
+
+export function getProject(name, storage = localStorage) {
+    return readStore(storage).projects[name] || null;
+}
+
+/* -------------------------
+     saveProject(name, files)
+     Creates or overwrites a project. Files missing from files are
+     saved empty, and Scenario.json must be blank or valid JSON.
+     ------------------------- */
+export function saveProject(name, files, storage = localStorage) {
+    const projectName = checkName(name);
+    const scenario = files[SCENARIO_FILE] ?? "";
+    if (scenario.trim()) {
+        try {
+            JSON.parse(scenario);
+        } catch (err) {
+            throw new Error(`${SCENARIO_FILE} is not valid JSON: ${err.message}`);
+        }
+    }
+
+    const store = readStore(storage);
+    store.projects[projectName] = {
+        files: Object.fromEntries(PROJECT_FILES.map(file => [file, String(files[file] ?? "")])),
+        savedAt: new Date().toISOString(),
+    };
+    writeStore(store, storage);
+    return projectName;
+}
+
+// Deleting the active project makes the Script/ folder active again
+export function deleteProject(name, storage = localStorage) {
+    const store = readStore(storage);
+    delete store.projects[name];
+    if (store.active === name) store.active = null;
+    writeStore(store, storage);
+}
+
+/* -------------------------
+     getActiveProject() / setActiveProject(name)
+     null stands for the Script/ folder
+     ------------------------- */
+export function getActiveProject(storage = localStorage) {
+    return readStore(storage).active;
+}
+
+export function setActiveProject(name, storage = localStorage) {
+    const store = readStore(storage);
+    if (name !== null && !store.projects[name]) throw new Error(`No project named "${name}"`);
+    store.active = name;
+    writeStore(store, storage);
+}
+
+/* -------------------------
+     readProjectFiles(name, fallback)
+     Every file of a project; for null (the Script/ folder) the scripts
+     come from fallback(fileName) and there is no scenario
+     ------------------------- */
+export async function readProjectFiles(name, fallback = fetchSource, storage = localStorage) {
+    if (name !== null) {
+        const project = getProject(name, storage);
+        if (!project) throw new Error(`No project named "${name}"`);
+        return Object.fromEntries(PROJECT_FILES.map(file => [file, project.files[file] ?? ""]));
+    }
+
+    const scripts = Object.values(SCRIPT_FILES);
+    const sources = await Promise.all(scripts.map(file => fallback(file)));
+    return { ...Object.fromEntries(scripts.map((file, i) => [file, sources[i]])), [SCENARIO_FILE]: "" };
+}
+
+/* -------------------------
+     createProjectReader(fallback)
+     readSource for the loader (see createScriptLoader): the active
+     project's text, or fallback(fileName) with no project active
+     ------------------------- */
+export function createProjectReader(fallback = fetchSource, storage = localStorage) {
+    return async (fileName) => {
+        const active = getActiveProject(storage);
+        const text = active === null ? undefined : getProject(active, storage).files[fileName];
+        return typeof text === "string" ? text : fallback(fileName);
+    };
+}
+
+// The active project's starting scenario as an object, or null without one
+export function getActiveScenario(storage = localStorage) {
+    const active = getActiveProject(storage);
+    const text = active === null ? "" : getProject(active, storage).files[SCENARIO_FILE] || "";
+    return text.trim() ? JSON.parse(text) : null;
+}
+
+/* -------------------------
+     diffProjects(before, after)
+     Line diff of two projects' files (as from readProjectFiles):
+     [{ file, entries, changed }] in PROJECT_FILES order, entries as
+     from diffLines
+     ------------------------- */
+export function diffProjects(before, after) {
+    return PROJECT_FILES.map(file => {
+        const entries = diffLines(before[file] ?? "", after[file] ?? "");
+        return { file, entries, changed: hasChanges(entries) };
+    });
+}
@@ -0,0 +1,59 @@
+// storyCardTriggers.js
+// --------------------------------------------------
+// Decides which story cards fire for the next context.
+// A card fires when one of its comma-separated keys
+// appears in a recent action as a whole word, ignoring case.
+// --------------------------------------------------
+
+import { isImageAction } from "./Actions.js";
+
+// How many recent actions are scanned for story card keys
+export const CARD_SCAN_DEPTH = 4;
+
+// Keys are stored comma-separated; older cards may hold an array
+export function splitKeys(keys) {
+    const list = Array.isArray(keys) ? keys : String(keys ?? "").split(",");
+    return list.map(k => String(k).trim()).filter(Boolean);
+}
+
+// "sir bob" matches "Sir Bob's sword" but not "Sir Bobby"
+export function keyPattern(key) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, "iu");
+}
+
+/* -------------------------
+     findTriggeredCards(storyCards, history, { scanDepth })
+     Returns one trigger per firing card, in story card order:
+       { card, cardIndex, key, actionIndex }
+     actionIndex points into history at the most recent action
+     that mentioned the key. Image actions are never scanned.
+     ------------------------- */
+export function findTriggeredCards(storyCards, history, { scanDepth = CARD_SCAN_DEPTH } = {}) {
+    const scanned = [];
+    for (let i = history.length - 1; i >= 0 && scanned.length < scanDepth; i--) {
+        if (!isImageAction(history[i].type)) scanned.push(i);
+    }
+
+    const triggers = [];
+    storyCards.forEach((card, cardIndex) => {
+        if (!card || !card.entry) return;
+
+        for (const actionIndex of scanned) {
+            const text = `${history[actionIndex].text}`;
+            const key = splitKeys(card.keys).find(k => keyPattern(k).test(text));
+            if (key) {
+                triggers.push({ card, cardIndex, key, actionIndex });
+                return;
+            }
+        }
+    });
+
+    return triggers;
+}
+
+// One line for the emulator console
+export function describeTrigger({ card, cardIndex, key, actionIndex }) {
+    const name = card.title ? `"${card.title}"` : `(${splitKeys(card.keys).join(", ")})`;
+    return `Story card #${cardIndex} ${name} fired on "${key}" in action #${actionIndex}`;
+}
@@ -0,0 +1,250 @@
+// StoryCardsPanel.js
+// --------------------------------------------------
+// The Story Cards tab: lists storyCards with their type, keys, title
+// and entry, filters them by type or key, and adds, edits and deletes
+// cards inline. Edits go through addStoryCard, updateStoryCard and
+// removeStoryCard, the same functions scripts call, so ids and key
+// validation behave the same. Cards the scripts added, changed or
+// removed during the last turn (engine.cardChanges) are highlighted.
+// --------------------------------------------------
+
+import {
+    storyCards,
+    addStoryCard,
+    updateStoryCard,
+    removeStoryCard,
+} from "./Parameters.js";
+
+import { splitKeys } from "./StoryCardTriggers.js";
+import { escapeHtml } from "./Html.js";
+
+// Types offered in the editor; any other type a card has is listed too
+export const CARD_TYPES = ["character", "class", "race", "location", "faction", "custom"];
+
+export class StoryCardsPanel {
+    /* -------------------------
+         new StoryCardsPanel(root, { engine, onChange })
+         root:     element the panel renders into
+         engine:   read for cardChanges (see Engine.recordCardChanges);
+                   edits wait for engine.idle()
+         onChange: called after the user added, edited or deleted a card
+         ------------------------- */
+    constructor(root, { engine, onChange = () => {} } = {}) {
+        this.root = root;
+        this.engine = engine;
+        this.onChange = onChange;
+
+        this.filterType = "";
+        this.filterKey = "";
+        // id of the card being edited, "new" for the add form
+        this.editingId = null;
+        this.error = "";
+
+        this.build();
+        this.render();
+    }
+
+    build() {
+        this.root.innerHTML = `
+            <div class="cards-toolbar">
+                <select data-filter="type" title="Filter by type"></select>
+                <input data-filter="key" type="text" placeholder="filter by key" autocomplete="off">
+                <button data-action="new">add card</button>
+                <span class="cards-count"></span>
+            </div>
+            <div class="cards-error" hidden></div>
+            <div class="cards-list"></div>
+            <datalist id="cardTypeOptions"></datalist>
+        `;
+
+        this.dom = {
+            typeFilter: this.root.querySelector('[data-filter="type"]'),
+            keyFilter: this.root.querySelector('[data-filter="key"]'),
+            count: this.root.querySelector(".cards-count"),
+            error: this.root.querySelector(".cards-error"),
+            list: this.root.querySelector(".cards-list"),
+            typeOptions: this.root.querySelector("#cardTypeOptions"),
+        };
+
+        this.dom.typeFilter.addEventListener("change", () => {
+            this.filterType = this.dom.typeFilter.value;
+            this.render();
+        });
+        this.dom.keyFilter.addEventListener("input", () => {
+            this.filterKey = this.dom.keyFilter.value.trim().toLowerCase();
+            this.render();
+        });
+
+        // Card buttons are re-rendered often; one listener handles them all
+        this.root.addEventListener("click", (event) => {
+            const button = event.target.closest("button[data-action]");
+            if (!button) return;
+            const cardEl = button.closest("[data-id]");
+            this.handleAction(button.dataset.action, cardEl?.dataset.id, cardEl);
+        });
+    }
+
+    async handleAction(action, id, cardEl) {
+        this.error = "";
+        if (action === "new") this.editingId = "new";
+        else if (action === "edit") this.editingId = id;
+        else if (action === "cancel") this.editingId = null;
+        else if (action === "save") await this.saveCard(id, cardEl);
+        else if (action === "delete") await this.deleteCard(id);
+        this.render();
+    }
+
+    /* -------------------------
+         Edits, through the scripting API
+         Made during a turn, they are applied once its hooks are done:
+         the hooks hand back the story cards they started with.
+         ------------------------- */
+    async saveCard(id, cardEl) {
+        const field = (name) => cardEl.querySelector(`[name="${name}"]`).value;
+        const fields = {
+            keys: field("keys"),
+            entry: field("entry"),
+            type: field("type").trim() || "general",
+            title: field("title"),
+            description: field("description"),
+        };
+        await this.engine.idle();
+
+        try {
+            if (id === "new") {
+                const added = addStoryCard(fields.keys, fields.entry, fields.type, fields.title, fields.description);
+                if (added === false) {
+                    this.error = `A story card with keys "${fields.keys}" already exists.`;
+                    return;
+                }
+            } else {
+                updateStoryCard(this.indexOf(id), fields.keys, fields.entry, fields.type, fields.title, fields.description);
+            }
+        } catch (err) {
+            this.error = err.message;
+            return;
+        }
+
+        this.editingId = null;
+        this.onChange();
+    }
+
+    async deleteCard(id) {
+        const card = storyCards[this.indexOf(id)];
+        if (!card) return;
+        if (!window.confirm(`Delete the story card "${card.title || card.keys}"?`)) return;
+
+        await this.engine.idle();
+        if (this.indexOf(id) < 0) return;
+        removeStoryCard(this.indexOf(id));
+        if (this.editingId === id) this.editingId = null;
+        this.onChange();
+    }
+
+    indexOf(id) {
+        return storyCards.findIndex(card => card.id === id);
+    }
+
+    /* -------------------------
+         Rendering
+         ------------------------- */
+    matchesFilter(card) {
+        if (this.filterType && card.type !== this.filterType) return false;
+        if (!this.filterKey) return true;
+        return splitKeys(card.keys).some(key => key.toLowerCase().includes(this.filterKey));
+    }
+
+    render() {
+        const changes = new Map((this.engine?.cardChanges || []).map(entry => [entry.id, entry]));
+        const shown = storyCards.filter(card => this.matchesFilter(card));
+
+        this.renderTypeOptions();
+        this.dom.count.textContent = shown.length === storyCards.length
+            ? `${storyCards.length} cards`
+            : `${shown.length} of ${storyCards.length} cards`;
+        this.dom.error.textContent = this.error;
+        this.dom.error.hidden = !this.error;
+
+        const removed = [...changes.values()]
+            .filter(entry => entry.change === "removed" && this.matchesFilter(entry.card))
+            .map(entry => this.renderRemoved(entry));
+        const cards = shown.map(card => card.id === this.editingId
+            ? this.renderForm(card)
+            : this.renderCard(card, changes.get(card.id)));
+        const form = this.editingId === "new" ? [this.renderForm(null)] : [];
+
+        const items = [...form, ...removed, ...cards];
+        this.dom.list.innerHTML = items.length
+            ? items.join("")
+            : `<div class="cards-empty">${storyCards.length ? "No cards match the filter." : "No story cards yet."}</div>`;
+    }
+
+    renderTypeOptions() {
+        const types = [...new Set([...CARD_TYPES, ...storyCards.map(card => card.type)])].filter(Boolean);
+
+        this.dom.typeFilter.innerHTML = [`<option value="">all types</option>`]
+            .concat(types.map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`))
+            .join("");
+        this.dom.typeFilter.value = this.filterType;
+        this.dom.typeOptions.innerHTML = types.map(type => `<option value="${escapeHtml(type)}">`).join("");
+    }
+
+    renderCard(card, change) {
+        const changed = change
+            ? `<span class="card-change">${change.change} by ${escapeHtml(change.hook)}</span>`
+            : "";
+
+        return `
+            <div class="card${change ? ` card-${change.change}` : ""}" data-id="${escapeHtml(card.id)}">
+                <div class="card-head">
+                    <span class="card-type">${escapeHtml(card.type)}</span>
+                    <b class="card-title">${escapeHtml(card.title) || "(untitled)"}</b>
+                    <span class="card-keys">${escapeHtml(card.keys) || "(no keys)"}</span>
+                    ${changed}
+                    <span class="card-buttons">
+                        <button data-action="edit">edit</button>
+                        <button data-action="delete">delete</button>
+                    </span>
+                </div>
+                <div class="card-entry">${escapeHtml(card.entry)}</div>
+                ${card.description ? `<div class="card-notes">${escapeHtml(card.description)}</div>` : ""}
+            </div>
+        `;
+    }
+
+    renderRemoved(entry) {
+        const card = entry.card;
+        return `
+            <div class="card card-removed">
+                <div class="card-head">
+                    <span class="card-type">${escapeHtml(card.type)}</span>
+                    <b class="card-title">${escapeHtml(card.title) || "(untitled)"}</b>
+                    <span class="card-keys">${escapeHtml(card.keys) || "(no keys)"}</span>
+                    <span class="card-change">removed by ${escapeHtml(entry.hook)}</span>
+                </div>
+                <div class="card-entry">${escapeHtml(card.entry)}</div>
+            </div>
+        `;
+    }
+
+    // Inline editor; card is null for a new card
+    renderForm(card) {
+        const value = (name, fallback = "") => escapeHtml(card ? card[name] : fallback);
+
+        return `
+            <div class="card card-editing" data-id="${card ? escapeHtml(card.id) : "new"}">
+                <div class="card-form">
+                    <label>type <input name="type" list="cardTypeOptions" value="${value("type", "character")}"></label>
+                    <label>title <input name="title" value="${value("title")}"></label>
+                    <label>keys <input name="keys" value="${value("keys")}" placeholder="comma,separated,keys"></label>
+                    <label>entry <textarea name="entry" rows="4">${value("entry")}</textarea></label>
+                    <label>notes <textarea name="description" rows="2">${value("description")}</textarea></label>
+                </div>
+                <div class="card-buttons">
+                    <button data-action="save">${card ? "save" : "add"}</button>
+                    <button data-action="cancel">cancel</button>
+                </div>
+            </div>
+        `;
+    }
+}
@@ -0,0 +1,5 @@
+const modifier = (text) => {
+  return { text }
+}
+
+modifier(text)
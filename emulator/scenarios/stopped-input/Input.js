@@ -0,0 +1,10 @@
+// Drops any action that asks for it
+const modifier = (text) => {
+  if (text.includes("/stop")) {
+    state.message = "Dropped."
+    return { stop: true }
+  }
+  return { text }
+}
+
+modifier(text)
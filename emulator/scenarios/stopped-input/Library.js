@@ -0,0 +1 @@
+// Scripts for emulator/scenarios/stopped-input.json